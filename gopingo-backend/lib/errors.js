@@ -0,0 +1,48 @@
+/**
+ * Error Responses
+ * Every error the API returns has the same shape:
+ *   { error: { code, message, fields: [{ field, location, code, message }] } }
+ * `code` is a stable machine-readable string, `message` is for people, and `fields` lists the
+ * individual inputs that were rejected (empty when the problem isn't about a particular field).
+ * Some errors carry extra details next to these, such as retryAfter on rate limits.
+ */
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+const codeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+function errorBody(status, message, { code, fields = [], ...details } = {}) {
+  return {
+    error: {
+      code: code || codeForStatus(status),
+      message,
+      fields,
+      ...details
+    }
+  };
+}
+
+/**
+ * @param {object} res - express response
+ * @param {number} status
+ * @param {string} message
+ * @param {{ code?: string, fields?: object[] }} [options] - any other keys are passed along as details
+ */
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(status, message, options));
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorBody,
+  sendError
+};
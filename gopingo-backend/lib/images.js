@@ -0,0 +1,76 @@
+/**
+ * Image Processing
+ * Turns an uploaded photo into resized renditions in modern formats. Every rendition is
+ * re-encoded by sharp, which drops EXIF/GPS and other metadata unless asked to keep it,
+ * so the original upload can be discarded once this has run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Longest edge in pixels; images are never enlarged past their original size
+const IMAGE_SIZES = {
+  thumbnail: 160,
+  card: 480,
+  zoom: 1600
+};
+
+const IMAGE_FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 80 }
+};
+
+// EXIF orientations 5-8 are rotated a quarter turn, so width and height swap once applied
+const orientedSize = ({ width, height, orientation }) =>
+  orientation >= 5 ? { width: height, height: width } : { width, height };
+
+/**
+ * Resize and re-encode one image into every size and format.
+ * @param {string} inputPath - the uploaded file
+ * @param {string} outputDir - where the renditions are written
+ * @param {string} baseName - file name prefix, e.g. "IMG_5065-1748094235830-479080844"
+ * @returns {Promise<{ width: number, height: number, renditions: Array<{ size: string, format: string, fileName: string, width: number, height: number, bytes: number }> }>}
+ */
+async function processImage(inputPath, outputDir, baseName) {
+  const input = await fs.promises.readFile(inputPath);
+  const metadata = await sharp(input).metadata();
+  const { width, height } = orientedSize(metadata);
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const renditions = [];
+  try {
+    for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+      for (const [format, options] of Object.entries(IMAGE_FORMATS)) {
+        const fileName = `${baseName}-${size}.${format}`;
+        // rotate() with no angle applies the EXIF orientation before the metadata is dropped
+        const info = await sharp(input)
+          .rotate()
+          .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+          .toFormat(format, options)
+          .toFile(path.join(outputDir, fileName));
+
+        renditions.push({ size, format, fileName, width: info.width, height: info.height, bytes: info.size });
+      }
+    }
+  } catch (error) {
+    await removeRenditions(outputDir, renditions);
+    throw error;
+  }
+
+  return { width, height, renditions };
+}
+
+async function removeRenditions(outputDir, renditions) {
+  await Promise.all(renditions.map(rendition =>
+    fs.promises.unlink(path.join(outputDir, rendition.fileName)).catch(() => {})
+  ));
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  processImage,
+  removeRenditions
+};
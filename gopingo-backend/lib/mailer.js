@@ -0,0 +1,99 @@
+/**
+ * Mail Transport
+ * Outgoing mail goes through a swappable transport. Pick one with MAIL_TRANSPORT:
+ *   - console: print messages to stdout (default)
+ *   - file:    write each message as JSON into MAIL_OUTBOX_DIR (handy for tests)
+ *   - smtp:    deliver through nodemailer using the SMTP_* settings
+ * Anything with a `send(message)` method returning a promise can be plugged in with setTransport().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'BINGO <no-reply@bingo.com>';
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('✉️  Mail to:', message.to, '| Subject:', message.subject);
+      console.log(message.text);
+    }
+  };
+}
+
+function createFileTransport(outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'bingo-mail-outbox')) {
+  return {
+    name: 'file',
+    outboxDir,
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { filePath };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  // Only load nodemailer when SMTP is actually in use
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send(message) {
+      return transporter.sendMail(message);
+    }
+  };
+}
+
+function createTransport(type = process.env.MAIL_TRANSPORT || 'console') {
+  switch (type) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport();
+    case 'smtp':
+      return createSmtpTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,113 @@
+/**
+ * Permissions
+ * Every admin route asks for a "resource:action" permission. Roles are rows in the roles table
+ * holding a list of these; users.role names the role a user has.
+ *   - admin has "*", which grants everything
+ *   - customer grants nothing (storefront shoppers)
+ *   - the other built-in roles are starting points and can be edited from /api/admin/roles
+ * A role may also grant a whole resource with "products:*".
+ */
+
+const PERMISSIONS = {
+  'products:read': 'View products in the admin panel',
+  'products:create': 'Create products',
+  'products:update': 'Edit product details, options and images',
+  'products:delete': 'Delete products',
+  'products:import': 'Import products from CSV',
+  'products:export': 'Export products to CSV',
+  'inventory:update': 'Change stock quantities',
+  'categories:read': 'View categories in the admin panel',
+  'categories:create': 'Create categories',
+  'categories:update': 'Edit categories',
+  'categories:delete': 'Delete categories',
+  'orders:read': 'View orders',
+  'orders:update': 'Change order and payment status',
+  'reviews:read': 'View reviews awaiting moderation',
+  'reviews:moderate': 'Approve and reject reviews',
+  'coupons:read': 'View coupons',
+  'coupons:create': 'Create coupons',
+  'coupons:update': 'Edit coupons',
+  'coupons:delete': 'Delete coupons',
+  'uploads:read': 'Scan uploads for orphaned files',
+  'uploads:delete': 'Delete orphaned uploads',
+  'staff:manage': 'Add staff and change their roles',
+  'roles:manage': 'Create and edit roles'
+};
+
+const ALL_PERMISSIONS = '*';
+
+// admin and customer can't be edited or deleted; the rest can be edited but not deleted
+const LOCKED_ROLES = ['admin', 'customer'];
+
+const DEFAULT_ROLES = [
+  {
+    id: 'admin',
+    name: 'Administrator',
+    description: 'Full access to everything',
+    permissions: [ALL_PERMISSIONS]
+  },
+  {
+    id: 'catalog_editor',
+    name: 'Catalog editor',
+    description: 'Maintains products and categories but cannot delete them',
+    permissions: [
+      'products:read', 'products:create', 'products:update', 'products:import', 'products:export',
+      'inventory:update', 'categories:read', 'categories:create', 'categories:update',
+      'reviews:read', 'reviews:moderate'
+    ]
+  },
+  {
+    id: 'inventory_clerk',
+    name: 'Inventory clerk',
+    description: 'Updates stock quantities only',
+    permissions: ['products:read', 'products:export', 'inventory:update']
+  },
+  {
+    id: 'order_manager',
+    name: 'Order manager',
+    description: 'Handles orders and coupons',
+    permissions: [
+      'orders:read', 'orders:update', 'products:read',
+      'coupons:read', 'coupons:create', 'coupons:update', 'coupons:delete'
+    ]
+  },
+  {
+    id: 'customer',
+    name: 'Customer',
+    description: 'Storefront account with no admin access',
+    permissions: []
+  }
+];
+
+/**
+ * @param {string[]} granted - permissions of the user's role
+ * @param {string} permission - e.g. "products:delete"
+ */
+function hasPermission(granted, permission) {
+  if (!granted || granted.length === 0) {
+    return false;
+  }
+  const [resource] = permission.split(':');
+  return granted.includes(ALL_PERMISSIONS) ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`);
+}
+
+// Returns the entries that aren't known permissions or resource wildcards
+function findUnknownPermissions(permissions) {
+  const resources = new Set(Object.keys(PERMISSIONS).map(permission => permission.split(':')[0]));
+  return permissions.filter(permission => {
+    if (PERMISSIONS[permission]) return false;
+    const [resource, action] = String(permission).split(':');
+    return !(action === '*' && resources.has(resource));
+  });
+}
+
+module.exports = {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  LOCKED_ROLES,
+  PERMISSIONS,
+  findUnknownPermissions,
+  hasPermission
+};
@@ -0,0 +1,71 @@
+/**
+ * Product Relations
+ * Loads categories, images (with their renditions), variants and colors for a whole page of products with one
+ * query per relation, instead of a handful of queries for every product in the list.
+ * Returns raw rows; shaping them for a response is left to the caller.
+ */
+
+const emptyRelations = () => ({ categories: [], images: [], variants: [], colors: [] });
+
+/**
+ * @param {{ query: Function }} db - a pg Pool or client
+ * @param {string[]} productIds
+ * @returns {Promise<Map<string, { categories: string[], images: object[], variants: object[], colors: object[] }>>}
+ *   Each image carries a `renditions` array of { size, format, url, width, height }.
+ */
+async function loadProductRelations(db, productIds) {
+  const relations = new Map(productIds.map(id => [id, emptyRelations()]));
+  if (productIds.length === 0) {
+    return relations;
+  }
+
+  const [categoriesResult, imagesResult, renditionsResult, variantsResult, colorsResult] = await Promise.all([
+    db.query(
+      'SELECT product_id, category_id FROM product_categories WHERE product_id = ANY($1)',
+      [productIds]
+    ),
+    db.query(
+      'SELECT id, product_id, image_url, image_type, sort_order, alt_text, width, height FROM product_images WHERE product_id = ANY($1) ORDER BY sort_order, id',
+      [productIds]
+    ),
+    db.query(`
+      SELECT r.image_id, r.size, r.format, r.url, r.width, r.height
+      FROM product_image_renditions r
+      JOIN product_images pi ON pi.id = r.image_id
+      WHERE pi.product_id = ANY($1)
+      ORDER BY r.width, r.format
+    `, [productIds]),
+    db.query(
+      'SELECT * FROM product_variants WHERE product_id = ANY($1) ORDER BY variant_name, id',
+      [productIds]
+    ),
+    db.query(
+      'SELECT * FROM product_colors WHERE product_id = ANY($1) ORDER BY id',
+      [productIds]
+    )
+  ]);
+
+  for (const row of categoriesResult.rows) {
+    relations.get(row.product_id).categories.push(row.category_id);
+  }
+  const renditionsByImage = new Map();
+  for (const { image_id, ...rendition } of renditionsResult.rows) {
+    if (!renditionsByImage.has(image_id)) renditionsByImage.set(image_id, []);
+    renditionsByImage.get(image_id).push(rendition);
+  }
+  for (const { product_id, ...image } of imagesResult.rows) {
+    relations.get(product_id).images.push({ ...image, renditions: renditionsByImage.get(image.id) || [] });
+  }
+  for (const row of variantsResult.rows) {
+    relations.get(row.product_id).variants.push(row);
+  }
+  for (const row of colorsResult.rows) {
+    relations.get(row.product_id).colors.push(row);
+  }
+
+  return relations;
+}
+
+module.exports = {
+  loadProductRelations
+};
@@ -0,0 +1,236 @@
+/**
+ * Rate Limiting
+ * Counters live in a swappable store. Pick one with RATE_LIMIT_STORE:
+ *   - memory: a Map inside this process (default; fine for a single server)
+ *   - redis:  any Redis-compatible server (Redis, Valkey, KeyDB, ...) at REDIS_URL, shared by every instance
+ * A store has increment(key, windowMs), get(key), set(key, count, ttlMs) and reset(key), each resolving to
+ * { count, resetAt } (resetAt in epoch ms) or null. Anything with those methods can be plugged in with setStore().
+ *
+ * rateLimit() is an express middleware with the standard RateLimit-* and Retry-After headers.
+ * createLockout() backs login brute-force protection: after a few free failures each further one locks
+ * the key out for twice as long as the last. attempt() counts before the credential is checked, so a
+ * burst of parallel guesses can't all get in ahead of the first recorded failure.
+ */
+
+const { sendError } = require('./errors');
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count++;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function createRedisStore({ url = process.env.REDIS_URL, prefix = 'bingo:rl:' } = {}) {
+  if (!url) {
+    throw new Error('REDIS_URL is required for the redis rate limit store');
+  }
+
+  // Only load the client when Redis is actually in use
+  const Redis = require('ioredis');
+  const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  client.on('error', (error) => console.error('Rate limit store error:', error.message));
+
+  const toEntry = (count, ttl) => count === null || count === undefined
+    ? null
+    : { count: parseInt(count), resetAt: Date.now() + Math.max(ttl, 0) };
+
+  return {
+    name: 'redis',
+    client,
+
+    async increment(key, windowMs) {
+      const results = await client.multi().incr(prefix + key).pttl(prefix + key).exec();
+      const count = results[0][1];
+      let ttl = results[1][1];
+      // A fresh counter has no expiry yet; this also repairs one that lost it
+      if (ttl < 0) {
+        await client.pexpire(prefix + key, windowMs);
+        ttl = windowMs;
+      }
+      return toEntry(count, ttl);
+    },
+
+    async get(key) {
+      const results = await client.multi().get(prefix + key).pttl(prefix + key).exec();
+      return toEntry(results[0][1], results[1][1]);
+    },
+
+    async set(key, count, ttlMs) {
+      await client.set(prefix + key, count, 'PX', ttlMs);
+    },
+
+    async reset(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+function createStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis':
+      return createRedisStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+function setStore(newStore) {
+  store = newStore;
+}
+
+const secondsUntil = (resetAt) => Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+/**
+ * @param {{ name: string, limit: number, windowMs: number, keyGenerator?: Function, message?: string }} options
+ *   name keeps the counters of different limiters apart; keys default to the client IP
+ */
+function rateLimit({
+  name,
+  limit,
+  windowMs,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) {
+  return async (req, res, next) => {
+    let entry;
+    try {
+      entry = await getStore().increment(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      // An unreachable store shouldn't take the API down with it
+      console.error('Rate limit store unavailable:', error.message);
+      return next();
+    }
+
+    const resetSeconds = secondsUntil(entry.resetAt);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - entry.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (entry.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 429, message, { retryAfter: resetSeconds });
+    }
+    next();
+  };
+}
+
+/**
+ * @param {{ name: string, freeAttempts: number, baseLockoutMs?: number, maxLockoutMs?: number, failureWindowMs?: number }} options
+ *   Failures are remembered for failureWindowMs, so lockouts keep doubling while attacks continue
+ */
+function createLockout({
+  name,
+  freeAttempts,
+  baseLockoutMs = 60 * 1000,
+  maxLockoutMs = 24 * 60 * 60 * 1000,
+  failureWindowMs = 24 * 60 * 60 * 1000
+}) {
+  const failuresKey = (id) => `${name}:failures:${id}`;
+  const lockKey = (id) => `${name}:lock:${id}`;
+  const lockoutMsAfter = (failures) => Math.min(baseLockoutMs * 2 ** (failures - freeAttempts - 1), maxLockoutMs);
+
+  return {
+    // Resolves to the seconds left on a lockout, or 0 when the key may try again
+    async retryAfter(id) {
+      const lock = await getStore().get(lockKey(id));
+      return lock ? secondsUntil(lock.resetAt) : 0;
+    },
+
+    // Counts an attempt as a failure up front and resolves to 0 when it may go ahead, or to the seconds
+    // left on the lockout. clear() on success takes it back. Past the free attempts only the one
+    // attempt that starts a lockout gets through; the store's atomic increment decides which
+    async attempt(id) {
+      const lock = await getStore().get(lockKey(id));
+      if (lock) {
+        return secondsUntil(lock.resetAt);
+      }
+
+      const failures = await getStore().increment(failuresKey(id), failureWindowMs);
+      if (failures.count <= freeAttempts) {
+        return 0;
+      }
+
+      const started = await getStore().increment(lockKey(id), lockoutMsAfter(failures.count));
+      return started.count === 1 ? 0 : secondsUntil(started.resetAt);
+    },
+
+    // Counts a failure and resolves to the lockout it triggered in seconds, or 0
+    async fail(id) {
+      const failures = await getStore().increment(failuresKey(id), failureWindowMs);
+      if (failures.count <= freeAttempts) {
+        return 0;
+      }
+      const lockoutMs = lockoutMsAfter(failures.count);
+      await getStore().set(lockKey(id), failures.count, lockoutMs);
+      return Math.ceil(lockoutMs / 1000);
+    },
+
+    async clear(id) {
+      await getStore().reset(failuresKey(id));
+      await getStore().reset(lockKey(id));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createStore,
+  getStore,
+  setStore,
+  rateLimit,
+  createLockout
+};
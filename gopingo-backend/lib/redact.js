@@ -0,0 +1,27 @@
+/**
+ * Log Redaction
+ * Masks credentials before a request body, query or header set reaches the logs.
+ * Any key that looks like a password, token, secret or one-time code is replaced, at any depth.
+ */
+
+const SENSITIVE_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|otp|backup_?code|api_?key/i;
+const REDACTED = '[REDACTED]';
+
+function redact(value, depth = 0) {
+  if (depth > 5 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+module.exports = {
+  redact
+};
@@ -0,0 +1,116 @@
+/**
+ * Low-Stock Alerts
+ * Fired when a stock change takes a product or variant from above its low_stock_threshold to at or
+ * below it, so each dip is reported once rather than on every sale after it.
+ * Alerts go through a swappable notifier. Pick one with LOW_STOCK_NOTIFIER:
+ *   - console: log the alert (default)
+ *   - email:   mail LOW_STOCK_ALERT_EMAIL through lib/mailer
+ *   - webhook: POST the alerts as JSON to LOW_STOCK_WEBHOOK_URL
+ * Anything with a `notify(alerts)` method returning a promise can be plugged in with setNotifier().
+ * The email and webhook notifiers throw when created without their setting; the server creates its
+ * notifier at startup so that shows up straight away.
+ */
+
+const mailer = require('./mailer');
+
+const describe = (alert) =>
+  `${alert.name}${alert.variant ? ` (${alert.variant})` : ''} [${alert.sku || 'no sku'}]: ` +
+  `${alert.quantity} left, threshold ${alert.lowStockThreshold}`;
+
+function createConsoleNotifier() {
+  return {
+    name: 'console',
+    async notify(alerts) {
+      alerts.forEach(alert => console.warn('📉 Low stock:', describe(alert)));
+    }
+  };
+}
+
+function createEmailNotifier(to = process.env.LOW_STOCK_ALERT_EMAIL) {
+  if (!to) {
+    throw new Error('LOW_STOCK_ALERT_EMAIL is required for the email low-stock notifier');
+  }
+
+  return {
+    name: 'email',
+    notify(alerts) {
+      return mailer.sendMail({
+        to,
+        subject: alerts.length === 1 ? `Low stock: ${alerts[0].name}` : `Low stock: ${alerts.length} items`,
+        text: `These items have dropped to their low-stock threshold:\n\n${alerts.map(describe).join('\n')}`
+      });
+    }
+  };
+}
+
+function createWebhookNotifier(url = process.env.LOW_STOCK_WEBHOOK_URL) {
+  if (!url) {
+    throw new Error('LOW_STOCK_WEBHOOK_URL is required for the webhook low-stock notifier');
+  }
+
+  return {
+    name: 'webhook',
+    async notify(alerts) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'stock.low', alerts })
+      });
+      if (!response.ok) {
+        throw new Error(`Low-stock webhook answered ${response.status}`);
+      }
+    }
+  };
+}
+
+function createNotifier(type = process.env.LOW_STOCK_NOTIFIER || 'console') {
+  switch (type) {
+    case 'console':
+      return createConsoleNotifier();
+    case 'email':
+      return createEmailNotifier();
+    case 'webhook':
+      return createWebhookNotifier();
+    default:
+      throw new Error(`Unknown low-stock notifier: ${type}`);
+  }
+}
+
+let notifier = null;
+
+function getNotifier() {
+  if (!notifier) {
+    notifier = createNotifier();
+  }
+  return notifier;
+}
+
+function setNotifier(newNotifier) {
+  notifier = newNotifier;
+}
+
+/**
+ * Call once the stock changes are committed. Never rejects: a failed alert shouldn't fail the
+ * sale or edit that caused it.
+ * @param {Array<{ productId, variantId, name, variant, sku, quantity, lowStockThreshold }>} alerts
+ */
+async function notifyLowStock(alerts) {
+  if (alerts.length === 0) {
+    return;
+  }
+  try {
+    await getNotifier().notify(alerts);
+  } catch (error) {
+    console.error('Low-stock notification failed:', error.message);
+  }
+}
+
+module.exports = {
+  createConsoleNotifier,
+  createEmailNotifier,
+  createWebhookNotifier,
+  createNotifier,
+  getNotifier,
+  setNotifier,
+  notifyLowStock
+};
@@ -0,0 +1,248 @@
+/**
+ * Upload Storage
+ * Uploaded files live behind a swappable driver. Pick one with STORAGE_DRIVER:
+ *   - local: files under UPLOADS_DIR (default ./uploads), served by express at /uploads (default)
+ *   - s3:    any S3-compatible bucket (AWS S3, MinIO, ...) using the S3_* settings
+ * Objects are addressed by key, e.g. "products/IMG_5065-1748094235830-479080844-card.webp".
+ * The database stores the public URL, so every driver can also turn one of its URLs back into a key.
+ * list() resolves to [{ key, size, modifiedAt }].
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.avif': 'image/avif',
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const assertSafeKey = (key) => {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => part === '..' || part === '')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+// `source` is a path to a local file or a Buffer
+const readSource = (source) => Buffer.isBuffer(source) ? Promise.resolve(source) : fs.promises.readFile(source);
+
+function createLocalStorage({
+  root = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = '/uploads'
+} = {}) {
+  const resolve = (key) => {
+    assertSafeKey(key);
+    return path.join(root, ...key.split('/'));
+  };
+
+  async function walk(dir, prefix) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        objects.push(...await walk(path.join(dir, entry.name), key));
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        objects.push({ key, size: stats.size, modifiedAt: stats.mtime });
+      }
+    }
+    return objects;
+  }
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, source) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(source)) {
+        await fs.promises.writeFile(filePath, source);
+      } else {
+        await fs.promises.copyFile(source, filePath);
+      }
+    },
+
+    read(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolve(key));
+        return { size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    list(prefix = '') {
+      const trimmed = prefix.replace(/\/+$/, '');
+      return walk(trimmed ? resolve(trimmed) : root, trimmed);
+    },
+
+    url(key) {
+      assertSafeKey(key);
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return typeof url === 'string' && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+    }
+  };
+}
+
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl = process.env.S3_PUBLIC_URL,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  // Only load the AWS SDK when S3 is actually in use
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its usual AWS_* env / instance role lookup
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // MinIO and other path-style endpoints serve objects at <endpoint>/<bucket>/<key>
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+
+  const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    bucket,
+
+    async put(key, source) {
+      assertSafeKey(key);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: await readSource(source),
+        ContentType: contentTypeFor(key),
+        // Upload names are unique, so an object never changes once written
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    async read(key) {
+      assertSafeKey(key);
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async stat(key) {
+      assertSafeKey(key);
+      try {
+        const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: result.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      assertSafeKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix = '') {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const result = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix ? `${prefix.replace(/\/+$/, '')}/` : undefined,
+          ContinuationToken
+        }));
+        for (const object of result.Contents || []) {
+          objects.push({ key: object.Key, size: object.Size, modifiedAt: object.LastModified });
+        }
+        ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+
+    url(key) {
+      assertSafeKey(key);
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return typeof url === 'string' && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+    }
+  };
+}
+
+function createStorage(type = process.env.STORAGE_DRIVER || 'local') {
+  switch (type) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    default:
+      throw new Error(`Unknown storage driver: ${type}`);
+  }
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+module.exports = {
+  contentTypeFor,
+  createLocalStorage,
+  createS3Storage,
+  createStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,108 @@
+/**
+ * Upload Garbage Collection
+ * Cross-checks stored uploads against the rows that reference them:
+ *   - orphans: files in storage no row points at (e.g. left behind by earlier edits)
+ *   - missing: rows pointing at a file that doesn't exist, in storage or among the static assets
+ * Used by GET/DELETE /api/admin/uploads/orphans and scripts/cleanup-uploads.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Every column that stores an upload URL, plus the columns that identify its row in the report
+const URL_COLUMNS = [
+  { table: 'product_images', column: 'image_url', id: 'id', parent: 'product_id' },
+  { table: 'product_image_renditions', column: 'url', id: 'id', parent: 'image_id' },
+  { table: 'categories', column: 'image_url', id: 'id', parent: null }
+];
+
+const UPLOAD_PREFIXES = ['products', 'categories'];
+
+// Uploads are written to storage just before the row that references them is committed,
+// so very new files are left alone rather than raced
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+/**
+ * @param {{ query: Function }} db
+ * @param {object} storage - a driver from lib/storage.js
+ * @param {{ staticRoot?: string, minAgeMinutes?: number }} options - staticRoot is where
+ *   non-upload URLs such as /images/placeholder.jpg are served from
+ */
+async function scanUploads(db, storage, { staticRoot, minAgeMinutes = DEFAULT_MIN_AGE_MINUTES } = {}) {
+  const objects = (await Promise.all(UPLOAD_PREFIXES.map(prefix => storage.list(prefix)))).flat();
+  const storedKeys = new Set(objects.map(object => object.key));
+
+  const rows = [];
+  for (const { table, column, id, parent } of URL_COLUMNS) {
+    const result = await db.query(
+      `SELECT ${id} AS id${parent ? `, ${parent} AS parent_id` : ''}, ${column} AS url
+       FROM ${table} WHERE ${column} IS NOT NULL`
+    );
+    rows.push(...result.rows.map(row => ({ table, ...row })));
+  }
+
+  const referencedUrls = new Set(rows.map(row => row.url));
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+
+  const orphans = objects
+    .filter(object => !referencedUrls.has(storage.url(object.key)))
+    .filter(object => !object.modifiedAt || new Date(object.modifiedAt).getTime() < cutoff)
+    .map(object => ({ key: object.key, url: storage.url(object.key), size: object.size, modifiedAt: object.modifiedAt }));
+
+  const missing = [];
+  for (const row of rows) {
+    const key = storage.keyFromUrl(row.url);
+    let exists;
+    if (key) {
+      exists = storedKeys.has(key);
+    } else if (staticRoot && row.url.startsWith('/')) {
+      exists = fs.existsSync(path.join(staticRoot, row.url));
+    } else {
+      // External URLs can't be checked from here
+      continue;
+    }
+
+    if (!exists) {
+      missing.push({
+        table: row.table,
+        id: row.id,
+        ...(row.parent_id !== undefined ? { parentId: row.parent_id } : {}),
+        url: row.url
+      });
+    }
+  }
+
+  return {
+    orphans,
+    missing,
+    summary: {
+      storedFiles: objects.length,
+      storedBytes: objects.reduce((sum, object) => sum + object.size, 0),
+      orphanedFiles: orphans.length,
+      orphanedBytes: orphans.reduce((sum, orphan) => sum + orphan.size, 0),
+      missingFiles: missing.length
+    }
+  };
+}
+
+async function deleteOrphans(storage, orphans) {
+  const result = { deletedFiles: 0, reclaimedBytes: 0, failed: [] };
+
+  for (const orphan of orphans) {
+    try {
+      await storage.delete(orphan.key);
+      result.deletedFiles++;
+      result.reclaimedBytes += orphan.size;
+    } catch (error) {
+      result.failed.push({ key: orphan.key, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_MIN_AGE_MINUTES,
+  scanUploads,
+  deleteOrphans
+};
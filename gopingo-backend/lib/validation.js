@@ -0,0 +1,270 @@
+/**
+ * Request Validation
+ * Routes declare what they accept instead of hand-parsing it:
+ *
+ *   app.get('/api/things/:id', validate({
+ *     params: { id: v.id() },
+ *     query: { limit: v.integer({ min: 1, max: 100 }) },
+ *     body: { name: v.string({ required: true, maxLength: 100 }) }
+ *   }), handler)
+ *
+ * Declared fields are checked and replaced by their parsed values ("5" becomes 5, "true" becomes true,
+ * date-times become ISO strings),
+ * so handlers can use req.body/req.query/req.params directly. Fields that aren't declared are left alone.
+ * Empty strings and nulls count as "not given" unless a field is nullable, in which case they become null.
+ * Any failure answers 400 with code validation_failed and one entry per rejected field (see lib/errors.js).
+ *
+ * Common options for every rule: required, nullable, default, and check(value) returning an error
+ * message or null for anything the built-in options can't express. Checks that depend on other fields
+ * or on the database stay in the handler and answer through sendValidationError() in the same shape.
+ */
+
+const { sendError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+const MAX_ID = 2147483647;
+
+const fail = (code, message) => ({ error: { code, message } });
+
+const checkRange = (value, label, { min, max }) => {
+  if (min !== undefined && value < min) return fail('too_small', `${label} must be at least ${min}`);
+  if (max !== undefined && value > max) return fail('too_large', `${label} must be at most ${max}`);
+  return { value };
+};
+
+// Each parser turns a raw value into { value } or { error }
+const parsers = {
+  string(raw, label, options) {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      return fail('invalid_type', `${label} must be a string`);
+    }
+    const value = String(raw);
+    if (options.minLength !== undefined && value.length < options.minLength) {
+      return fail('too_short', `${label} must be at least ${options.minLength} characters`);
+    }
+    if (options.maxLength !== undefined && value.length > options.maxLength) {
+      return fail('too_long', `${label} must be at most ${options.maxLength} characters`);
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return fail('invalid_format', options.patternMessage || `${label} is not in a valid format`);
+    }
+    return { value };
+  },
+
+  integer(raw, label, options) {
+    if (!(Number.isInteger(raw) || (typeof raw === 'string' && INTEGER_PATTERN.test(raw.trim())))) {
+      return fail('invalid_type', `${label} must be a whole number`);
+    }
+    return checkRange(Number(raw), label, options);
+  },
+
+  number(raw, label, options) {
+    if (!((typeof raw === 'number' && Number.isFinite(raw)) || (typeof raw === 'string' && NUMBER_PATTERN.test(raw.trim())))) {
+      return fail('invalid_type', `${label} must be a number`);
+    }
+    return checkRange(Number(raw), label, options);
+  },
+
+  boolean(raw, label) {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return fail('invalid_type', `${label} must be true or false`);
+  },
+
+  enum(raw, label, options) {
+    if (!options.values.includes(raw)) {
+      return fail('invalid_value', `${label} must be one of: ${options.values.join(', ')}`);
+    }
+    return { value: raw };
+  },
+
+  email(raw, label) {
+    if (typeof raw !== 'string' || !EMAIL_PATTERN.test(raw.trim())) {
+      return fail('invalid_format', `${label} must be a valid email address`);
+    }
+    return { value: raw.trim() };
+  },
+
+  date(raw, label) {
+    const date = typeof raw === 'string' && DATE_PATTERN.test(raw) ? new Date(`${raw}T00:00:00Z`) : null;
+    if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== raw) {
+      return fail('invalid_format', `${label} must be a date in YYYY-MM-DD format`);
+    }
+    return { value: raw };
+  },
+
+  datetime(raw, label) {
+    if (typeof raw !== 'string' || isNaN(Date.parse(raw))) {
+      return fail('invalid_format', `${label} must be a valid date and time`);
+    }
+    return { value: new Date(raw).toISOString() };
+  },
+
+  array(raw, label, options, location) {
+    // Multipart forms send a single value for a one-element list
+    const list = Array.isArray(raw) ? raw : (options.single && raw !== undefined ? [raw] : null);
+    if (!list) {
+      return fail('invalid_type', `${label} must be a list`);
+    }
+    if (options.minItems !== undefined && list.length < options.minItems) {
+      return fail('too_short', `${label} must have at least ${options.minItems} items`);
+    }
+    if (options.maxItems !== undefined && list.length > options.maxItems) {
+      return fail('too_long', `${label} must have at most ${options.maxItems} items`);
+    }
+    if (!options.items) {
+      return { value: list };
+    }
+
+    const fields = [];
+    const value = list.map((item, index) => {
+      const result = checkField(options.items, item, `${label}[${index}]`, location);
+      fields.push(...result.fields);
+      return result.value;
+    });
+    return fields.length > 0 ? { fields } : { value };
+  },
+
+  object(raw, label, options, location) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      return fail('invalid_type', `${label} must be an object`);
+    }
+    if (!options.shape) {
+      return { value: raw };
+    }
+    const result = checkShape(options.shape, raw, location, `${label}.`);
+    return result.fields.length > 0 ? { fields: result.fields } : { value: result.values };
+  },
+
+  any(raw) {
+    return { value: raw };
+  }
+};
+
+// Checks one value against a rule; resolves to { value, fields }
+function checkField(rule, raw, label, location) {
+  const { type, options } = rule;
+  const fieldError = (error) => ({ field: label, location, ...error });
+
+  // Whitespace alone counts as empty when a field is trimmed
+  if (options.trim && typeof raw === 'string') {
+    raw = raw.trim();
+  }
+
+  const empty = raw === undefined || raw === null || raw === '';
+  if (empty) {
+    if (options.nullable && raw !== undefined) {
+      return { value: null, fields: [] };
+    }
+    if (options.required) {
+      return { value: undefined, fields: [fieldError({ code: 'required', message: `${label} is required` })] };
+    }
+    return { value: options.default, fields: [] };
+  }
+
+  const result = parsers[type](raw, label, options, location);
+  if (result.fields) {
+    return { value: undefined, fields: result.fields };
+  }
+  if (result.error) {
+    return { value: undefined, fields: [fieldError(result.error)] };
+  }
+
+  const message = options.check && options.check(result.value);
+  if (message) {
+    return { value: undefined, fields: [fieldError({ code: 'invalid_value', message })] };
+  }
+  return { value: result.value, fields: [] };
+}
+
+function checkShape(shape, source, location, prefix = '') {
+  const values = {};
+  const fields = [];
+
+  for (const [name, rule] of Object.entries(shape)) {
+    const result = checkField(rule, source[name], `${prefix}${name}`, location);
+    fields.push(...result.fields);
+    values[name] = result.value;
+  }
+  return { values, fields };
+}
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * @param {{ params?: object, query?: object, body?: object }} schemas - field name to rule, built with `v`
+ * @param {{ onInvalid?: Function }} [options] - called with req before a rejected request is answered,
+ *   e.g. to remove files multer has already staged
+ */
+function validate(schemas, { onInvalid } = {}) {
+  return (req, res, next) => {
+    const fields = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      const result = checkShape(schemas[location], req[location] || {}, location);
+      fields.push(...result.fields);
+      parsed[location] = result.values;
+    }
+
+    if (fields.length > 0) {
+      if (onInvalid) {
+        onInvalid(req);
+      }
+      const message = fields.length === 1
+        ? fields[0].message
+        : `${fields[0].message} (and ${fields.length - 1} more problems)`;
+      return sendError(res, 400, message, { code: 'validation_failed', fields });
+    }
+
+    for (const [location, values] of Object.entries(parsed)) {
+      if (!req[location]) req[location] = {};
+      for (const [name, value] of Object.entries(values)) {
+        if (value === undefined) {
+          delete req[location][name];
+        } else {
+          req[location][name] = value;
+        }
+      }
+    }
+    next();
+  };
+}
+
+// For a rejected input a schema can't express, e.g. min_price above max_price. Without a field the
+// problem is with the request as a whole
+function sendValidationError(res, message, { field = null, location = 'body', code = 'invalid_value' } = {}) {
+  return sendError(res, 400, message, {
+    code: 'validation_failed',
+    fields: field ? [{ field, location, code, message }] : []
+  });
+}
+
+const rule = (type) => (options = {}) => ({ type, options });
+
+// Rule builders
+const v = {
+  string: rule('string'),
+  integer: rule('integer'),
+  number: rule('number'),
+  boolean: rule('boolean'),
+  email: rule('email'),
+  date: rule('date'),
+  datetime: rule('datetime'),
+  any: rule('any'),
+  enum: (values, options = {}) => ({ type: 'enum', options: { ...options, values } }),
+  array: (items, options = {}) => ({ type: 'array', options: { ...options, items } }),
+  object: (shape, options = {}) => ({ type: 'object', options: { ...options, shape } }),
+  // Serial primary keys, e.g. /api/admin/coupons/:id
+  id: (options = {}) => ({ type: 'integer', options: { required: true, min: 1, max: MAX_ID, ...options } })
+};
+
+module.exports = {
+  validate,
+  sendValidationError,
+  v
+};
@@ -0,0 +1,119 @@
+/**
+ * Product List Benchmark
+ * Compares the old per-product lookups with the batched loader the product lists now use.
+ * Runs against the database in .env and only reads from it.
+ *
+ * Usage: node scripts/benchmark-product-lists.js [--limit 100] [--runs 20]
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { loadProductRelations } = require('../lib/product-relations');
+
+// Database connection
+const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+});
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : parseInt(process.argv[index + 1]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const LIMIT = readOption('limit', 100);
+const RUNS = readOption('runs', 20);
+
+// Wraps the pool so every query a strategy sends is counted
+const countingDb = () => {
+  const db = {
+    queries: 0,
+    query: (...args) => {
+      db.queries++;
+      return pool.query(...args);
+    }
+  };
+  return db;
+};
+
+const loadPage = (db) => db.query('SELECT * FROM products ORDER BY created_at DESC LIMIT $1', [LIMIT]);
+
+// What the list endpoints did before: four lookups for every product on the page
+async function perProductLookups(db) {
+  const page = await loadPage(db);
+  return Promise.all(page.rows.map(async (product) => {
+    const [categories, images, variants, colors] = await Promise.all([
+      db.query('SELECT category_id FROM product_categories WHERE product_id = $1', [product.id]),
+      db.query('SELECT image_url, image_type, sort_order FROM product_images WHERE product_id = $1 ORDER BY sort_order', [product.id]),
+      db.query('SELECT * FROM product_variants WHERE product_id = $1 ORDER BY variant_name, id', [product.id]),
+      db.query('SELECT * FROM product_colors WHERE product_id = $1 ORDER BY id', [product.id])
+    ]);
+    return { product, categories: categories.rows, images: images.rows, variants: variants.rows, colors: colors.rows };
+  }));
+}
+
+async function batchedLookups(db) {
+  const page = await loadPage(db);
+  const relations = await loadProductRelations(db, page.rows.map(product => product.id));
+  return page.rows.map(product => ({ product, ...relations.get(product.id) }));
+}
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+async function measure(name, strategy) {
+  // One untimed run so connection setup and cold caches don't skew the first sample
+  await strategy(countingDb());
+
+  const timings = [];
+  let queries = 0;
+  let products = 0;
+
+  for (let run = 0; run < RUNS; run++) {
+    const db = countingDb();
+    const started = process.hrtime.bigint();
+    const result = await strategy(db);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+    queries = db.queries;
+    products = result.length;
+  }
+
+  timings.sort((a, b) => a - b);
+  const average = timings.reduce((sum, time) => sum + time, 0) / timings.length;
+
+  return {
+    strategy: name,
+    products,
+    queries,
+    'avg ms': average.toFixed(2),
+    'p50 ms': percentile(timings, 0.5).toFixed(2),
+    'p95 ms': percentile(timings, 0.95).toFixed(2)
+  };
+}
+
+async function runBenchmark() {
+  console.log(`⏱️  Benchmarking product lists (limit ${LIMIT}, ${RUNS} runs each)...\n`);
+
+  try {
+    const results = [
+      await measure('before: per-product queries', perProductLookups),
+      await measure('after: batched per relation', batchedLookups)
+    ];
+
+    console.table(results);
+
+    if (results[0].products < LIMIT) {
+      console.log(`\nℹ️  Only ${results[0].products} products in the database; seed more for a fuller page.`);
+    }
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+runBenchmark();
@@ -0,0 +1,81 @@
+/**
+ * Upload Cleanup Script
+ * Lists uploaded files no database row references and rows whose file is missing.
+ * Nothing is deleted unless --delete is passed.
+ *
+ * Usage: node scripts/cleanup-uploads.js [--delete] [--min-age-minutes 60]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { Pool } = require('pg');
+const { getStorage } = require('../lib/storage');
+const { DEFAULT_MIN_AGE_MINUTES, scanUploads, deleteOrphans } = require('../lib/upload-gc');
+
+// Database connection
+const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+});
+
+const DELETE = process.argv.includes('--delete');
+const minAgeIndex = process.argv.indexOf('--min-age-minutes');
+const MIN_AGE_MINUTES = minAgeIndex === -1 ? DEFAULT_MIN_AGE_MINUTES : parseInt(process.argv[minAgeIndex + 1]);
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+async function cleanupUploads() {
+  if (!Number.isInteger(MIN_AGE_MINUTES) || MIN_AGE_MINUTES < 0) {
+    console.error('--min-age-minutes must be a whole number of 0 or more');
+    process.exitCode = 1;
+    return;
+  }
+
+  const storage = getStorage();
+  console.log(`🔍 Scanning ${storage.name} upload storage...\n`);
+
+  try {
+    // The server serves non-upload assets like /images/placeholder.jpg from the backend directory
+    const { orphans, missing, summary } = await scanUploads(pool, storage, {
+      staticRoot: path.join(__dirname, '..'),
+      minAgeMinutes: MIN_AGE_MINUTES
+    });
+
+    console.log(`📦 ${summary.storedFiles} stored files (${formatBytes(summary.storedBytes)})`);
+
+    if (orphans.length > 0) {
+      console.log(`\n🗂️  ${orphans.length} orphaned files (${formatBytes(summary.orphanedBytes)}):`);
+      orphans.forEach(orphan => console.log(`   - ${orphan.key} (${orphan.size} bytes)`));
+    } else {
+      console.log('\n✅ No orphaned files');
+    }
+
+    if (missing.length > 0) {
+      console.log(`\n⚠️  ${missing.length} rows point at files that don't exist:`);
+      missing.forEach(row => console.log(`   - ${row.table} #${row.id}${row.parentId ? ` (${row.parentId})` : ''}: ${row.url}`));
+    } else {
+      console.log('\n✅ Every referenced file exists');
+    }
+
+    if (DELETE && orphans.length > 0) {
+      const result = await deleteOrphans(storage, orphans);
+      console.log(`\n🧹 Deleted ${result.deletedFiles} files, reclaimed ${formatBytes(result.reclaimedBytes)}`);
+      result.failed.forEach(failure => console.error(`❌ ${failure.key}: ${failure.error}`));
+      if (result.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } else if (orphans.length > 0) {
+      console.log(`\nℹ️  Run again with --delete to reclaim ${formatBytes(summary.orphanedBytes)}`);
+    }
+  } catch (error) {
+    console.error('❌ Upload scan failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+cleanupUploads();
@@ -0,0 +1,131 @@
+/**
+ * Storage Migration Script
+ * Copies every upload the database points at from one storage driver to another and
+ * rewrites the stored URLs. Both drivers are configured from .env (UPLOADS_DIR, S3_*).
+ * Safe to re-run: files that were already moved no longer match the source driver.
+ *
+ * Usage: node scripts/migrate-storage.js --from local --to s3 [--dry-run] [--delete-source]
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { createStorage } = require('../lib/storage');
+
+// Database connection
+const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+});
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const FROM = readOption('from');
+const TO = readOption('to');
+const DRY_RUN = process.argv.includes('--dry-run');
+const DELETE_SOURCE = process.argv.includes('--delete-source');
+
+// Every column that stores an upload URL
+const URL_COLUMNS = [
+  { table: 'product_images', column: 'image_url' },
+  { table: 'product_image_renditions', column: 'url' },
+  { table: 'categories', column: 'image_url' }
+];
+
+async function migrateStorage() {
+  if (!FROM || !TO || FROM === TO) {
+    console.error('Usage: node scripts/migrate-storage.js --from <local|s3> --to <local|s3> [--dry-run] [--delete-source]');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`🚚 Migrating uploads from ${FROM} to ${TO}${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  const summary = { migrated: 0, bytes: 0, missing: [], failed: [], skipped: 0 };
+  const movedKeys = [];
+
+  try {
+    const source = createStorage(FROM);
+    const target = createStorage(TO);
+
+    const urlsResult = await pool.query(
+      URL_COLUMNS
+        .map(({ table, column }) => `SELECT ${column} AS url FROM ${table} WHERE ${column} IS NOT NULL`)
+        .join(' UNION ')
+    );
+
+    for (const { url } of urlsResult.rows) {
+      const key = source.keyFromUrl(url);
+      if (!key) {
+        // Placeholders, external URLs, or files already on the target
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const stat = await source.stat(key);
+        if (!stat) {
+          summary.missing.push(url);
+          continue;
+        }
+
+        if (!DRY_RUN) {
+          await target.put(key, await source.read(key));
+
+          const newUrl = target.url(key);
+          const client = await pool.connect();
+          try {
+            await client.query('BEGIN');
+            for (const { table, column } of URL_COLUMNS) {
+              await client.query(`UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`, [newUrl, url]);
+            }
+            await client.query('COMMIT');
+          } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+          } finally {
+            client.release();
+          }
+        }
+
+        movedKeys.push(key);
+        summary.migrated++;
+        summary.bytes += stat.size;
+        console.log(`✅ ${key}`);
+      } catch (error) {
+        summary.failed.push(url);
+        console.error(`❌ ${key}: ${error.message}`);
+      }
+    }
+
+    if (DELETE_SOURCE && !DRY_RUN) {
+      console.log(`\n🗑️  Deleting ${movedKeys.length} files from ${FROM}...`);
+      for (const key of movedKeys) {
+        await source.delete(key).catch(error => console.error(`❌ Could not delete ${key}: ${error.message}`));
+      }
+    }
+
+    console.log(`\n📊 ${DRY_RUN ? 'Would migrate' : 'Migrated'} ${summary.migrated} files (${(summary.bytes / 1024 / 1024).toFixed(2)} MB)`);
+    console.log(`   Skipped (not on ${FROM}): ${summary.skipped}`);
+    if (summary.missing.length > 0) {
+      console.log(`⚠️  ${summary.missing.length} referenced files are missing on ${FROM}:`);
+      summary.missing.forEach(url => console.log(`   - ${url}`));
+    }
+    if (summary.failed.length > 0) {
+      console.log(`❌ ${summary.failed.length} files failed; re-run to retry them.`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateStorage();
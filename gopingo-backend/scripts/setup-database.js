@@ -6,6 +6,8 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { DEFAULT_ROLES } = require('../lib/permissions');
 
 // Database connection
 const pool = new Pool({
@@ -37,6 +39,7 @@ async function setupDatabase() {
         image_url VARCHAR(500),
         sort_order INTEGER DEFAULT 0,
         active BOOLEAN DEFAULT true,
+        parent_id VARCHAR(50) REFERENCES categories(id) ON DELETE SET NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -97,11 +100,30 @@ async function setupDatabase() {
         image_type VARCHAR(20) DEFAULT 'gallery',
         alt_text VARCHAR(255),
         sort_order INTEGER DEFAULT 0,
+        width INTEGER,
+        height INTEGER,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
     console.log('✅ Product images table created');
 
+    // Product image renditions table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_image_renditions (
+        id SERIAL PRIMARY KEY,
+        image_id INTEGER NOT NULL REFERENCES product_images(id) ON DELETE CASCADE,
+        size VARCHAR(20) NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        bytes INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (image_id, size, format)
+      )
+    `);
+    console.log('✅ Product image renditions table created');
+
     // Product colors/variants table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS product_colors (
@@ -142,12 +164,105 @@ async function setupDatabase() {
         role VARCHAR(20) DEFAULT 'customer',
         email_verified BOOLEAN DEFAULT false,
         last_login TIMESTAMP,
+        totp_secret TEXT,
+        totp_enabled BOOLEAN DEFAULT false,
+        totp_last_step BIGINT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
     console.log('✅ Users table created');
 
+    // Roles table (users.role names one of these)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        permissions TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    for (const role of DEFAULT_ROLES) {
+      await pool.query(`
+        INSERT INTO roles (id, name, description, permissions)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (id) DO NOTHING
+      `, [role.id, role.name, role.description, role.permissions]);
+    }
+    console.log('✅ Roles table created');
+
+    // Email verification tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Email verification tokens table created');
+
+    // Two-factor backup codes table (stored hashed, each usable once)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_backup_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user ON user_backup_codes(user_id)');
+    console.log('✅ User backup codes table created');
+
+    // Two-factor login challenges table (the password step's token, each usable once)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_challenges (
+        jti VARCHAR(32) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Login challenges table created');
+
+    // Password reset tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Password reset tokens table created');
+
+    // User sessions table (one row per login; refresh tokens are stored hashed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash)');
+    console.log('✅ User sessions table created');
+
     // User addresses table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS user_addresses (
@@ -175,6 +290,7 @@ async function setupDatabase() {
       CREATE TABLE IF NOT EXISTS cart_items (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        cart_token VARCHAR(64),
         product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
         variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
         quantity INTEGER NOT NULL DEFAULT 1,
@@ -197,6 +313,16 @@ async function setupDatabase() {
     `);
     console.log('✅ Wishlist items table created');
 
+    // Wishlist share links table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wishlist_shares (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Wishlist shares table created');
+
     // Orders table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS orders (
@@ -212,6 +338,7 @@ async function setupDatabase() {
         currency VARCHAR(3) DEFAULT 'USD',
         payment_status VARCHAR(20) DEFAULT 'pending',
         payment_method VARCHAR(50),
+        coupon_code VARCHAR(50),
         shipping_address JSONB,
         billing_address JSONB,
         notes TEXT,
@@ -238,6 +365,40 @@ async function setupDatabase() {
     `);
     console.log('✅ Order items table created');
 
+    // Order status history table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        from_payment_status VARCHAR(20),
+        to_payment_status VARCHAR(20),
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Order status history table created');
+
+    // Stock movements table (no foreign keys on product_id/variant_id,
+    // so the history outlives deleted products and options)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        product_id VARCHAR(50) NOT NULL,
+        variant_id INTEGER,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('sale', 'restock', 'adjustment', 'return')),
+        quantity_change INTEGER NOT NULL,
+        quantity_after INTEGER NOT NULL,
+        reason TEXT,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Stock movements table created');
+
     // Reviews table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS product_reviews (
@@ -250,12 +411,25 @@ async function setupDatabase() {
         verified_purchase BOOLEAN DEFAULT false,
         helpful_count INTEGER DEFAULT 0,
         approved BOOLEAN DEFAULT false,
+        moderated_at TIMESTAMP,
+        moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
     console.log('✅ Product reviews table created');
 
+    // Review helpful votes table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS review_helpful_votes (
+        review_id INTEGER REFERENCES product_reviews(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (review_id, user_id)
+      )
+    `);
+    console.log('✅ Review helpful votes table created');
+
     // Coupons table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS coupons (
@@ -446,21 +620,25 @@ async function setupDatabase() {
     }
     console.log('✅ Sample products inserted');
 
-    // Create admin user
-    const adminEmail = process.env.ADMIN_EMAIL || 'admin@bingo.com';
-    const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
+    // Create admin user. Re-running setup leaves an existing admin's password alone;
+    // use POST /api/auth/forgot-password or /api/me/password to change it.
+    // The password is never printed; without ADMIN_PASSWORD a random one is set
+    const adminEmail = (process.env.ADMIN_EMAIL || 'admin@bingo.com').trim().toLowerCase();
+    const adminPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(24).toString('hex');
     const hashedPassword = await bcrypt.hash(adminPassword, 10);
 
     await pool.query(`
       INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified)
       VALUES ($1, $2, $3, $4, $5, $6)
       ON CONFLICT (email) DO UPDATE SET
-        password_hash = $2, role = $5, email_verified = $6
+        role = $5, email_verified = $6
     `, [adminEmail, hashedPassword, 'Admin', 'User', 'admin', true]);
 
     console.log('✅ Admin user created');
     console.log(`   Email: ${adminEmail}`);
-    console.log(`   Password: ${adminPassword}`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log('   Password: not set (ADMIN_PASSWORD is empty); use POST /api/auth/forgot-password to choose one');
+    }
 
     // Create indexes for better performance
     console.log('\n🚀 Creating database indexes...');
@@ -468,10 +646,28 @@ async function setupDatabase() {
     await pool.query('CREATE INDEX IF NOT EXISTS idx_products_status ON products(status)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_products_trending ON products(trending)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_products_bestseller ON products(best_seller)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_products_name_search ON products USING gin(to_tsvector(\'english\', name))');
+    // Same expression the server searches with (see productSearchDocument in server.js)
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_products_search ON products USING gin((
+      setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(sku, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ))`);
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING gin(name gin_trgm_ops)');
+    } catch (error) {
+      console.warn('⚠️  Could not enable pg_trgm, fuzzy product search will be disabled:', error.message);
+    }
     await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_cart_user ON cart_items(user_id)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default ON user_addresses (user_id, type) WHERE is_default = true');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_user_line ON cart_items (user_id, product_id, (COALESCE(variant_id, 0))) WHERE user_id IS NOT NULL');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_guest_line ON cart_items (cart_token, product_id, (COALESCE(variant_id, 0))) WHERE cart_token IS NOT NULL');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON product_reviews(product_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at)');
     
     console.log('✅ Database indexes created');
 
@@ -480,7 +676,7 @@ async function setupDatabase() {
     console.log('1. Update your .env file with the correct database credentials');
     console.log('2. Run "npm start" to start the server');
     console.log('3. Open http://localhost:3000 in your browser');
-    console.log('4. Login to admin panel with the credentials above');
+    console.log('4. Login to admin panel as the admin user above and enable two-factor authentication (POST /api/me/2fa/setup)');
     console.log('\n🛠️  Your BINGO e-commerce platform is ready to use!');
 
   } catch (error) {
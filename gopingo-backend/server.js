@@ -2,15 +2,78 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { Transform: CsvTransform } = require('json2csv');
 require('dotenv').config();
+const mailer = require('./lib/mailer');
+const { loadProductRelations } = require('./lib/product-relations');
+const { processImage, removeRenditions } = require('./lib/images');
+const { getStorage } = require('./lib/storage');
+const uploadGc = require('./lib/upload-gc');
+const { DEFAULT_ROLES, LOCKED_ROLES, PERMISSIONS, findUnknownPermissions, hasPermission } = require('./lib/permissions');
+const { rateLimit, createLockout } = require('./lib/rate-limit');
+const { redact } = require('./lib/redact');
+const { sendError } = require('./lib/errors');
+const { validate, sendValidationError, v } = require('./lib/validation');
+const totp = require('./lib/totp');
+const { getNotifier: getLowStockNotifier, notifyLowStock } = require('./lib/stock-alerts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+// A guessable signing key would let anyone mint admin tokens, so production must set its own
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('💥 JWT_SECRET must be set when NODE_ENV=production');
+  process.exit(1);
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// A bare number is seconds; jsonwebtoken would read "900" as 900 milliseconds
+const ACCESS_TOKEN_TTL = /^\d+$/.test(process.env.ACCESS_TOKEN_TTL || '')
+  ? Number(process.env.ACCESS_TOKEN_TTL)
+  : process.env.ACCESS_TOKEN_TTL || '15m';
+// A TTL jsonwebtoken can't read, or one under a second, would fail every login or every request after it
+try {
+  const { iat, exp } = jwt.decode(jwt.sign({}, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }));
+  if (exp <= iat) {
+    throw new Error('shorter than a second');
+  }
+} catch (error) {
+  console.error(`💥 ACCESS_TOKEN_TTL must be a number of seconds or a timespan like 15m (${error.message})`);
+  process.exit(1);
+}
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+// Staff must enroll in two-factor authentication before the admin API lets them in
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+// Authenticator seeds get their own key, so a leaked JWT_SECRET doesn't expose them too.
+// Changing it makes every enrolled authenticator unreadable
+if (process.env.NODE_ENV === 'production' &&
+    (!process.env.TOTP_ENCRYPTION_KEY || process.env.TOTP_ENCRYPTION_KEY === process.env.JWT_SECRET)) {
+  console.error('💥 TOTP_ENCRYPTION_KEY must be set, and differ from JWT_SECRET, when NODE_ENV=production');
+  process.exit(1);
+}
+const TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || 'your-totp-encryption-key-change-in-production';
+const BACKUP_CODE_COUNT = 10;
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
+const PRODUCTS_RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PRODUCTS_PER_MINUTE) || 120;
+
+// A low-stock notifier missing its settings should stop the server now, not fail on the first alert
+try {
+  getLowStockNotifier();
+} catch (error) {
+  console.error('💥', error.message);
+  process.exit(1);
+}
 
 // Database connection with better error handling
 const pool = new Pool({
@@ -21,6 +84,9 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });
 
+// Keep DATE columns as plain YYYY-MM-DD strings instead of local-midnight Date objects
+types.setTypeParser(1082, value => value);
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -31,10 +97,13 @@ pool.connect((err, client, release) => {
   }
 });
 
-// Configure multer for image uploads
+// Configure multer for image uploads. Files are only staged here; they reach their final
+// home through the storage driver (lib/storage.js) once processed
+const UPLOAD_STAGING_DIR = path.join(os.tmpdir(), 'bingo-uploads');
+
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = 'uploads/products';
+    const uploadDir = UPLOAD_STAGING_DIR;
     // Create directory if it doesn't exist
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
@@ -64,26 +133,62 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'));
+      cb(badRequest('Only image files are allowed'));
+    }
+  }
+});
+
+// CSV catalog imports are parsed straight from memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv' ||
+      /text\/csv|application\/vnd\.ms-excel/.test(file.mimetype);
+
+    if (isCsv) {
+      return cb(null, true);
+    } else {
+      cb(badRequest('Only CSV files are allowed'));
     }
   }
 });
 
 // MIDDLEWARE - This must come BEFORE routes
+// Behind a load balancer req.ip is the proxy's address unless we trust its X-Forwarded-For.
+// Set TRUST_PROXY to the number of proxy hops (e.g. 1), as rate limits key on req.ip
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:5500'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor']
 }));
 app.use(express.json());
 app.use(express.static('.'));
-app.use('/uploads', express.static('uploads'));
+// Local uploads are served straight from disk; other storage drivers hand out their own URLs
+if (getStorage().name === 'local') {
+  app.use('/uploads', express.static(getStorage().root));
+}
 
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`📥 ${req.method} ${req.path}`, req.query || '');
+  console.log(`📥 ${req.method} ${req.path}`, redact(req.query) || '');
   next();
 });
 
+// Public catalog reads are cheap to hammer, so each client gets a per-minute allowance
+app.use('/api/products', rateLimit({
+  name: 'products',
+  limit: PRODUCTS_RATE_LIMIT_PER_MINUTE,
+  windowMs: 60 * 1000
+}));
+
 // Error handling middleware
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -94,331 +199,5043 @@ app.get('/api/test', (req, res) => {
   res.json({ message: 'Server is working!', timestamp: new Date().toISOString() });
 });
 
-// AUTH ENDPOINTS
-app.post('/api/auth/login', asyncHandler(async (req, res) => {
-  console.log('🔐 Login endpoint hit!', req.body);
-  
-  const { email, password } = req.body;
+// AUTH HELPERS
+const PHONE_PATTERN = /^\+?[0-9][0-9\s().-]{5,18}$/;
+const PASSWORD_RULE = v.string({ required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 128 });
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
-  }
+// Tokens are only ever stored hashed, so a leaked table can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-  // Find user in database
-  const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-  
-  if (result.rows.length === 0) {
-    console.log('❌ User not found:', email);
-    return res.status(401).json({ error: 'Invalid email or password' });
-  }
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
 
-  const user = result.rows[0];
-  console.log('👤 Found user:', user.email, 'Role:', user.role);
+const formatUserProfile = (user) => ({
+  id: user.id,
+  email: user.email,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  phone: user.phone,
+  date_of_birth: user.date_of_birth,
+  role: user.role,
+  email_verified: user.email_verified || false,
+  last_login: user.last_login,
+  created_at: user.created_at
+});
 
-  // Check password
-  const validPassword = await bcrypt.compare(password, user.password_hash);
-  if (!validPassword) {
-    console.log('❌ Invalid password for:', email);
-    return res.status(401).json({ error: 'Invalid email or password' });
+// Returns an error message for an invalid date_of_birth, or null when it's fine.
+// The schema has already made sure it's a real YYYY-MM-DD date
+const validateDateOfBirth = (value) => {
+  if (new Date(`${value}T00:00:00Z`) > new Date()) {
+    return 'date_of_birth cannot be in the future';
   }
+  return null;
+};
+
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(`
+    INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' hours')::interval)
+  `, [user.id, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]);
+
+  const verifyUrl = `${APP_URL}/verify-email.html?token=${token}`;
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your BINGO account',
+    text: `Hi ${user.first_name || 'there'},\n\n` +
+      `Please confirm your email address by opening the link below:\n${verifyUrl}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
 
-  // Create JWT token
-  const token = jwt.sign(
-    { userId: user.id, email: user.email }, 
-    JWT_SECRET, 
-    { expiresIn: '30d' }
+  // Only the newest link works; asking again retires the ones already sent
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
   );
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' minutes')::interval)
+  `, [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]);
 
-  console.log('✅ Login successful for:', user.email);
+  const resetUrl = `${APP_URL}/reset-password.html?token=${token}`;
 
-  res.json({
-    message: 'Login successful',
-    user: {
-      id: user.id,
-      email: user.email,
-      name: `${user.first_name} ${user.last_name}`,
-      role: user.role
-    },
-    token
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your BINGO password',
+    text: `Hi ${user.first_name || 'there'},\n\n` +
+      `Someone asked to reset the password for your account. Open the link below to choose a new one:\n${resetUrl}\n\n` +
+      `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`
   });
-}));
+}
 
-// Auth middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// LOGIN THROTTLING HELPERS
+// The hard limit is per account and IP together: every attempt is counted before the password or code
+// is checked, and past the free attempts every failure doubles the lockout. Keyed on the account alone,
+// anyone who knows an email could keep its owner locked out. The per-account and per-IP limits are soft
+// (offices and mobile networks share addresses): they only turn away wrong guesses, never a correct
+// password, the account one never lasts more than 15 minutes, and a successful login resets them all.
+// If the store is down nobody is locked out.
+const loginClientLockout = createLockout({ name: 'login-client', freeAttempts: 5 });
+const loginAccountLockout = createLockout({ name: 'login-account', freeAttempts: 10, maxLockoutMs: 15 * 60 * 1000 });
+const loginIpLockout = createLockout({ name: 'login-ip', freeAttempts: 20 });
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+const loginClientKey = (ip, email) => `${email}|${ip}`;
+
+// Resolves to the seconds this account has to wait from this IP, or 0 when the attempt may go ahead
+async function startLoginAttempt(ip, email) {
+  try {
+    return await loginClientLockout.attempt(loginClientKey(ip, email));
+  } catch (error) {
+    console.error('Login throttle unavailable:', error.message);
+    return 0;
   }
+}
+
+// Counts a wrong password or code against the account and the IP; resolves to the seconds either is
+// soft-locked for
+async function recordLoginFailure(ip, email) {
+  try {
+    const [ipRetryAfter, accountRetryAfter] = await Promise.all([
+      loginIpLockout.retryAfter(ip),
+      loginAccountLockout.retryAfter(email)
+    ]);
+    if (ipRetryAfter > 0 || accountRetryAfter > 0) {
+      return Math.max(ipRetryAfter, accountRetryAfter);
+    }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error('Token verification error:', err);
-      return res.status(403).json({ error: 'Invalid or expired token' });
+    const [ipLockout, accountLockout] = await Promise.all([loginIpLockout.fail(ip), loginAccountLockout.fail(email)]);
+    if (ipLockout > 0) {
+      console.log(`🔒 Failed logins from ${ip} get 429 for ${ipLockout}s, last for: ${email}`);
     }
-    req.user = user;
-    next();
-  });
+    if (accountLockout > 0) {
+      console.log(`🔒 Failed logins for ${email} get 429 for ${accountLockout}s`);
+    }
+  } catch (error) {
+    console.error('Login throttle unavailable:', error.message);
+  }
+  return 0;
+}
+
+async function clearLoginFailures(ip, email) {
+  try {
+    await Promise.all([
+      loginClientLockout.clear(loginClientKey(ip, email)),
+      loginAccountLockout.clear(email),
+      loginIpLockout.clear(ip)
+    ]);
+  } catch (error) {
+    console.error('Login throttle unavailable:', error.message);
+  }
+}
+
+const sendLoginLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, 'Too many failed login attempts, please try again later', { retryAfter });
 };
 
-// Admin middleware
-const requireAdmin = asyncHandler(async (req, res, next) => {
-  const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
-  if (result.rows.length === 0 || result.rows[0].role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Answer for a wrong password or code: 429 while the account or IP is soft-locked, 401 otherwise
+async function sendLoginFailure(req, res, email, message) {
+  const ipRetryAfter = await recordLoginFailure(req.ip, email);
+  if (ipRetryAfter > 0) {
+    return sendLoginLockedOut(res, ipRetryAfter);
   }
-  next();
-});
+  return sendError(res, 401, message);
+}
 
-// PUBLIC PRODUCTS ENDPOINTS
-app.get('/api/products', asyncHandler(async (req, res) => {
-  console.log('📦 Public products endpoint hit with query:', req.query);
-  
-  const { 
-    search, 
-    category, 
-    trending, 
-    best_seller, 
-    new_arrival, 
-    limit = 20, 
-    offset = 0 
-  } = req.query;
-
-  // Build the main query
-  let query = 'SELECT * FROM products WHERE in_stock = true';
-  const params = [];
-  let paramCount = 0;
+// TWO-FACTOR HELPERS
+// Backup codes look like "7KQ2M-XD4PA"; dashes, spaces and case don't matter when they're typed back
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
 
-  if (search) {
-    paramCount++;
-    query += ` AND (name ILIKE $${paramCount} OR description ILIKE $${paramCount})`;
-    params.push(`%${search}%`);
+// Replaces a user's backup codes and returns the new ones; only their hashes are kept
+async function replaceBackupCodes(userId, db = pool) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeBackupCode(code))]
+    );
   }
+  return codes;
+}
 
-  if (trending === 'true') {
-    query += ` AND trending = true`;
+// Seeds enrolled while TOTP_ENCRYPTION_KEY still fell back to JWT_SECRET are encrypted with that;
+// they still open, and get re-encrypted under the current key the first time they're read
+async function readTotpSecret(db, user) {
+  try {
+    return totp.decryptSecret(user.totp_secret, TOTP_ENCRYPTION_KEY);
+  } catch (error) {
+    const secret = totp.decryptSecret(user.totp_secret, JWT_SECRET);
+    await db.query('UPDATE users SET totp_secret = $1 WHERE id = $2',
+      [totp.encryptSecret(secret, TOTP_ENCRYPTION_KEY), user.id]);
+    return secret;
   }
+}
 
-  if (best_seller === 'true') {
-    query += ` AND best_seller = true`;
+// Checks an authenticator code, then a backup code. Resolves to 'totp', 'backup_code' or null
+async function verifySecondFactor(user, code) {
+  const step = totp.verifyCode(await readTotpSecret(pool, user), code);
+  if (step !== null) {
+    // Each code only works once, even while it's still inside its 30 second window
+    const result = await pool.query(`
+      UPDATE users SET totp_last_step = $1
+      WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+      RETURNING id
+    `, [step, user.id]);
+    return result.rows.length > 0 ? 'totp' : null;
   }
 
-  if (new_arrival === 'true') {
-    query += ` AND new_arrival = true`;
+  const backupResult = await pool.query(`
+    UPDATE user_backup_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING id
+  `, [user.id, hashToken(normalizeBackupCode(code))]);
+  return backupResult.rows.length > 0 ? 'backup_code' : null;
+}
+
+// SESSION HELPERS
+// Every login opens a user_sessions row. The short-lived access token carries its id so it can be
+// revoked early; the refresh token is rotated on every use and only stored hashed.
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Shape returned by login, register and refresh
+const buildTokenResponse = (user, sessionId, refreshToken) => {
+  const token = signAccessToken(user, sessionId);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+};
+
+async function createSession(user, req, db = pool) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const result = await db.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval)
+    RETURNING id
+  `, [user.id, hashToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 255) || null, req.ip || null, REFRESH_TOKEN_TTL_DAYS]);
+
+  return buildTokenResponse(user, result.rows[0].id, refreshToken);
+}
+
+// Revokes every open session for a user, optionally keeping the one making the request
+async function revokeUserSessions(userId, { exceptSessionId = null, db = pool } = {}) {
+  const result = await db.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)
+  `, [userId, exceptSessionId]);
+  return result.rowCount;
+}
+
+// AUTH ENDPOINTS
+app.post('/api/auth/register', validate({
+  body: {
+    email: v.email({ required: true }),
+    password: PASSWORD_RULE,
+    first_name: v.string({ maxLength: 100 }),
+    last_name: v.string({ maxLength: 100 }),
+    phone: v.string({ pattern: PHONE_PATTERN, patternMessage: 'Invalid phone number' })
   }
+}), asyncHandler(async (req, res) => {
+  const { password, first_name, last_name, phone } = req.body;
+  const email = normalizeEmail(req.body.email);
 
-  query += ` ORDER BY created_at DESC`;
-  
-  // Add pagination
-  paramCount++;
-  query += ` LIMIT $${paramCount}`;
-  params.push(parseInt(limit));
-  
-  paramCount++;
-  query += ` OFFSET $${paramCount}`;
-  params.push(parseInt(offset));
+  const existing = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+  if (existing.rows.length > 0) {
+    return sendError(res, 409, 'An account with this email already exists');
+  }
 
-  console.log('Executing query:', query, 'with params:', params);
+  const passwordHash = await bcrypt.hash(password, 10);
 
-  // Execute main query
-  const result = await pool.query(query, params);
-  
-  // Get images and categories for each product
-  const products = await Promise.all(result.rows.map(async (product) => {
-    // Get categories
-    let categories = [];
-    try {
-      const categoriesResult = await pool.query(
-        'SELECT category_id FROM product_categories WHERE product_id = $1',
-        [product.id]
-      );
-      categories = categoriesResult.rows.map(row => row.category_id);
-    } catch (err) {
-      console.error('Error fetching categories for product:', product.id, err);
+  let user;
+  try {
+    const result = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, phone, role)
+      VALUES ($1, $2, $3, $4, $5, 'customer')
+      RETURNING *
+    `, [email, passwordHash, first_name || null, last_name || null, phone || null]);
+    user = result.rows[0];
+  } catch (error) {
+    // Lost a race with a concurrent registration for the same email
+    if (error.code === '23505') {
+      return sendError(res, 409, 'An account with this email already exists');
     }
-    
-    // Get images
-    let product_images = [];
+    throw error;
+  }
+
+  console.log('👤 New customer registered:', user.email);
+
+  // The account exists either way; a failed merge rolls back and leaves the guest cart as it was
+  const guestCartToken = getCartToken(req);
+  if (guestCartToken) {
     try {
-      const imagesResult = await pool.query(
-        'SELECT image_url, image_type, sort_order FROM product_images WHERE product_id = $1 ORDER BY sort_order',
-        [product.id]
-      );
-      product_images = imagesResult.rows;
+      await mergeGuestCart(guestCartToken, user.id);
     } catch (err) {
-      console.error('Error fetching images for product:', product.id, err);
+      console.error('Error merging guest cart:', err);
     }
-    
-    return {
-      id: product.id,
-      name: product.name,
-      price: parseFloat(product.price || 0),
-      old_price: product.old_price ? parseFloat(product.old_price) : null,
-      description: product.description,
-      categories: categories,
-      in_stock: product.in_stock,
-      sku: product.sku,
-      quantity: product.quantity || 0,
-      trending: product.trending || false,
-      best_seller: product.best_seller || false,
-      new_arrival: product.new_arrival || false,
-      product_images: product_images,
-      // Add legacy image_url field for compatibility
-      image_url: product_images.find(img => img.image_type === 'primary')?.image_url || '/images/placeholder.jpg'
-    };
-  }));
+  }
 
-  // Apply category filter if specified (after fetching categories)
-  let filteredProducts = products;
-  if (category) {
-    filteredProducts = products.filter(p => p.categories.includes(category));
+  // A mail outage shouldn't block sign-up; the user can ask for another link
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error('Error sending verification email:', err);
   }
 
-  console.log(`Returning ${filteredProducts.length} products`);
-  res.json(filteredProducts);
+  const tokens = await createSession(user, req);
+
+  res.status(201).json({
+    message: 'Registration successful. Please check your email to verify your account.',
+    user: formatUserProfile(user),
+    ...tokens
+  });
 }));
 
-app.get('/api/products/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  
-  const result = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+app.post('/api/auth/verify-email', validate({
+  body: { token: v.string({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const { token } = req.body;
 
-  if (result.rows.length === 0) {
-    return res.status(404).json({ error: 'Product not found' });
-  }
+  const client = await pool.connect();
 
-  const product = result.rows[0];
-  
-  // Get categories
-  const categoriesResult = await pool.query(
-    'SELECT category_id FROM product_categories WHERE product_id = $1',
-    [id]
-  );
-  
-  // Get images
-  const imagesResult = await pool.query(
-    'SELECT image_url, image_type FROM product_images WHERE product_id = $1 ORDER BY sort_order',
-    [id]
-  );
-  
-  res.json({
-    id: product.id,
-    name: product.name,
-    price: parseFloat(product.price || 0),
-    oldPrice: product.old_price ? parseFloat(product.old_price) : null,
-    description: product.description,
-    categories: categoriesResult.rows.map(row => row.category_id),
-    inStock: product.in_stock,
-    sku: product.sku,
-    quantity: product.quantity || 0,
-    trending: product.trending || false,
-    best_seller: product.best_seller || false,
-    new_arrival: product.new_arrival || false,
-    product_images: imagesResult.rows,
-    images: {
-      primary: imagesResult.rows.find(img => img.image_type === 'primary')?.image_url || '',
-      gallery: imagesResult.rows.map(img => img.image_url) || []
+  try {
+    await client.query('BEGIN');
+
+    // Lock the token row so the same link can't be consumed twice
+    const tokenResult = await client.query(`
+      SELECT id, user_id FROM email_verification_tokens
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `, [hashToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Invalid or expired verification token');
     }
-  });
-}));
 
-app.get('/api/categories', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM categories ORDER BY name');
-  res.json(result.rows);
+    const { id, user_id } = tokenResult.rows[0];
+
+    await client.query('UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    await client.query(
+      'UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [user_id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log('✅ Email verified for user:', user_id);
+    res.json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error verifying email:', error);
+    sendError(res, 500, 'Failed to verify email');
+  } finally {
+    client.release();
+  }
 }));
 
-// ADMIN PRODUCTS ENDPOINTS
-app.get('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
-  console.log('📦 Admin products endpoint hit');
+
+app.post('/api/auth/login', validate({
+  body: {
+    email: v.string({ required: true, maxLength: 255 }),
+    password: v.string({ required: true })
+  }
+}), asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  console.log('🔐 Login attempt for:', email);
+
+  // Counted before the password so a locked-out attacker learns nothing from further guesses
+  const retryAfter = await startLoginAttempt(req.ip, email);
+  if (retryAfter > 0) {
+    return sendLoginLockedOut(res, retryAfter);
+  }
+
+  // Find user in database
+  const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
   
-  const { search, category, status, limit = 20, offset = 0 } = req.query;
+  if (result.rows.length === 0) {
+    console.log('❌ User not found:', email);
+    return sendLoginFailure(req, res, email, 'Invalid email or password');
+  }
 
-  // Build the main query
-  let query = 'SELECT * FROM products WHERE 1=1';
-  const params = [];
-  let paramCount = 0;
+  const user = result.rows[0];
+  console.log('👤 Found user:', user.email, 'Role:', user.role);
 
-  if (search) {
-    paramCount++;
-    query += ` AND (name ILIKE $${paramCount} OR sku ILIKE $${paramCount})`;
-    params.push(`%${search}%`);
+  // Check password
+  const validPassword = await bcrypt.compare(password, user.password_hash);
+  if (!validPassword) {
+    console.log('❌ Invalid password for:', email);
+    return sendLoginFailure(req, res, email, 'Invalid email or password');
   }
 
-  if (status) {
-    if (status === 'active') {
-      query += ` AND in_stock = true AND quantity > 0`;
-    } else if (status === 'out-of-stock') {
-      query += ` AND quantity <= 0`;
-    } else if (status === 'draft') {
-      query += ` AND in_stock = false`;
-    }
+  // With two-factor on, the password only earns a short-lived, single-use challenge for
+  // POST /api/auth/login/2fa. The attempts stay counted until the code checks out,
+  // so logging in again doesn't buy more guesses at the code
+  if (user.totp_enabled) {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    await pool.query(`
+      INSERT INTO login_challenges (jti, user_id, expires_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 second')
+    `, [challengeId, user.id, LOGIN_CHALLENGE_TTL_SECONDS]);
+
+    const challengeToken = jwt.sign(
+      { userId: user.id, email: user.email, purpose: 'login-2fa' },
+      JWT_SECRET,
+      { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS, jwtid: challengeId }
+    );
+
+    console.log('🔐 Second factor required for:', user.email);
+    return res.json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn: LOGIN_CHALLENGE_TTL_SECONDS
+    });
   }
 
-  query += ` ORDER BY created_at DESC`;
-  
-  // Add pagination
-  paramCount++;
-  query += ` LIMIT $${paramCount}`;
-  params.push(parseInt(limit));
-  
-  paramCount++;
-  query += ` OFFSET $${paramCount}`;
-  params.push(parseInt(offset));
+  await completeLogin(req, res, user);
+}));
 
-  // Execute main query
-  const result = await pool.query(query, params);
-  
-  // Get total count for pagination
-  let countQuery = 'SELECT COUNT(*) as total FROM products WHERE 1=1';
-  const countParams = [];
-  let countParamIndex = 0;
+app.post('/api/auth/login/2fa', validate({
+  body: {
+    challengeToken: v.string({ required: true }),
+    code: v.string({ required: true, maxLength: 20 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
 
-  if (search) {
-    countParamIndex++;
-    countQuery += ` AND (name ILIKE $${countParamIndex} OR sku ILIKE $${countParamIndex})`;
-    countParams.push(`%${search}%`);
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (err) {
+    challenge = null;
+  }
+  if (!challenge || challenge.purpose !== 'login-2fa' || !challenge.jti) {
+    return sendError(res, 401, 'Login challenge is invalid or has expired, please log in again');
   }
 
-  if (status) {
-    if (status === 'active') {
-      countQuery += ` AND in_stock = true AND quantity > 0`;
-    } else if (status === 'out-of-stock') {
-      countQuery += ` AND quantity <= 0`;
-    } else if (status === 'draft') {
-      countQuery += ` AND in_stock = false`;
-    }
+  // Wrong codes count towards the same lockout as wrong passwords
+  const email = normalizeEmail(challenge.email);
+  const retryAfter = await startLoginAttempt(req.ip, email);
+  if (retryAfter > 0) {
+    return sendLoginLockedOut(res, retryAfter);
   }
 
-  const countResult = await pool.query(countQuery, countParams);
-  const total = parseInt(countResult.rows[0].total);
+  const result = await pool.query(`
+    SELECT u.* FROM login_challenges lc
+    JOIN users u ON u.id = lc.user_id
+    WHERE lc.jti = $1 AND lc.user_id = $2 AND lc.used_at IS NULL AND lc.expires_at > CURRENT_TIMESTAMP
+  `, [challenge.jti, challenge.userId]);
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled) {
+    return sendError(res, 401, 'Login challenge is invalid or has expired, please log in again');
+  }
 
-  // Get categories and images for each product
-  const products = await Promise.all(result.rows.map(async (product) => {
-    // Get categories
-    let categories = [];
-    try {
-      const categoriesResult = await pool.query(
-        'SELECT category_id FROM product_categories WHERE product_id = $1',
-        [product.id]
-      );
-      categories = categoriesResult.rows.map(row => row.category_id);
-    } catch (err) {
-      console.error('Error fetching categories for product:', product.id, err);
-    }
-    
-    // Get images
-    let images = [];
+  const method = await verifySecondFactor(user, code);
+  if (!method) {
+    console.log('❌ Invalid two-factor code for:', email);
+    return sendLoginFailure(req, res, email, 'Invalid authentication code');
+  }
+
+  // Used up only once the code checks out, so a typo doesn't force a fresh password login.
+  // Two requests racing on one challenge can't both get a session
+  const consumed = await pool.query(`
+    UPDATE login_challenges SET used_at = CURRENT_TIMESTAMP
+    WHERE jti = $1 AND used_at IS NULL
+    RETURNING jti
+  `, [challenge.jti]);
+  if (consumed.rows.length === 0) {
+    return sendError(res, 401, 'Login challenge is invalid or has expired, please log in again');
+  }
+
+  if (method === 'backup_code') {
+    console.log('🔑 Backup code used to log in:', user.email);
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// Last step of every login, once the password and any second factor have checked out
+async function completeLogin(req, res, user) {
+  await clearLoginFailures(req.ip, normalizeEmail(user.email));
+
+  await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  // Carry over anything the visitor added to their guest cart before logging in. Best effort: the
+  // credentials have already checked out, so a failed merge mustn't cost the user their session
+  const guestCartToken = getCartToken(req);
+  if (guestCartToken) {
     try {
-      const imagesResult = await pool.query(
-        'SELECT image_url, image_type, sort_order FROM product_images WHERE product_id = $1 ORDER BY sort_order',
-        [product.id]
-      );
-      images = imagesResult.rows;
+      await mergeGuestCart(guestCartToken, user.id);
     } catch (err) {
-      console.error('Error fetching images for product:', product.id, err);
+      console.error('Error merging guest cart:', err);
     }
-    
+  }
+
+  const tokens = await createSession(user, req);
+
+  console.log('✅ Login successful for:', user.email);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      name: `${user.first_name} ${user.last_name}`,
+      role: user.role,
+      permissions: await getRolePermissions(user.role),
+      twoFactorEnabled: user.totp_enabled || false
+    },
+    ...tokens
+  });
+}
+
+app.post('/api/auth/refresh', validate({
+  body: { refreshToken: v.string({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  const tokenHash = hashToken(refreshToken);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the session so two refreshes racing with the same token can't both rotate it
+    const sessionResult = await client.query(`
+      SELECT s.id, s.revoked_at, s.expires_at <= CURRENT_TIMESTAMP AS expired, u.id AS user_id, u.email
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_token_hash = $1
+      FOR UPDATE OF s
+    `, [tokenHash]);
+
+    if (sessionResult.rows.length === 0) {
+      // A token that was already rotated away is being replayed, so it may have been stolen:
+      // end that session for whoever is holding the current one too
+      const reused = await client.query(`
+        UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE previous_token_hash = $1 AND revoked_at IS NULL
+        RETURNING id, user_id
+      `, [tokenHash]);
+      await client.query('COMMIT');
+
+      if (reused.rows.length > 0) {
+        console.log('🚨 Refresh token reuse detected, revoked session:', reused.rows[0].id, 'user:', reused.rows[0].user_id);
+      }
+      return sendError(res, 401, 'Invalid refresh token');
+    }
+
+    const session = sessionResult.rows[0];
+    if (session.revoked_at || session.expired) {
+      await client.query('ROLLBACK');
+      return sendError(res, 401, 'Session has expired, please log in again');
+    }
+
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    await client.query(`
+      UPDATE user_sessions
+      SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [hashToken(newRefreshToken), tokenHash, session.id]);
+
+    await client.query('COMMIT');
+
+    res.json(buildTokenResponse({ id: session.user_id, email: session.email }, session.id, newRefreshToken));
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error refreshing session:', error);
+    sendError(res, 500, 'Failed to refresh session');
+  } finally {
+    client.release();
+  }
+}));
+
+// Ends one session. Takes the refresh token, or falls back to the access token's session so
+// a client that lost its refresh token can still sign out
+app.post('/api/auth/logout', validate({
+  body: { refreshToken: v.string() }
+}), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (refreshToken) {
+    await pool.query(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+      [hashToken(refreshToken)]
+    );
+    return res.json({ message: 'Logged out successfully' });
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return sendError(res, 400, 'Refresh token or access token is required');
+  }
+
+  let payload;
+  try {
+    // Logging out with an access token that has just expired is still fine
+    payload = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+  } catch (err) {
+    return sendError(res, 403, 'Invalid token', { code: 'invalid_token' });
+  }
+
+  if (payload.sessionId) {
+    await pool.query(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [payload.sessionId, payload.userId]
+    );
+  }
+
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// Each request can send an email, so keep them to a handful per client
+const forgotPasswordRateLimit = rateLimit({
+  name: 'forgot-password',
+  limit: 5,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many password reset requests, please try again later'
+});
+
+app.post('/api/auth/forgot-password', forgotPasswordRateLimit, validate({
+  body: { email: v.email({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+
+  // Same answer whether or not the account exists, so this can't be used to probe for emails
+  const response = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+  const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
+  if (result.rows.length === 0) {
+    return res.json(response);
+  }
+
+  try {
+    await sendPasswordResetEmail(result.rows[0]);
+    console.log('🔑 Password reset requested for user:', result.rows[0].id);
+  } catch (err) {
+    console.error('Error sending password reset email:', err);
+  }
+
+  res.json(response);
+}));
+
+app.post('/api/auth/reset-password', validate({
+  body: {
+    token: v.string({ required: true }),
+    password: PASSWORD_RULE
+  }
+}), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the token row so the same link can't be consumed twice
+    const tokenResult = await client.query(`
+      SELECT id, user_id FROM password_reset_tokens
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `, [hashToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Invalid or expired reset token');
+    }
+
+    const { id, user_id } = tokenResult.rows[0];
+
+    await client.query('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    const userResult = await client.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING email',
+      [passwordHash, user_id]
+    );
+
+    // Whoever knew the old password is signed out everywhere
+    const revoked = await revokeUserSessions(user_id, { db: client });
+
+    await client.query('COMMIT');
+
+    // Proving control of the mailbox is as good as a correct password
+    await clearLoginFailures(req.ip, normalizeEmail(userResult.rows[0].email));
+
+    console.log(`🔑 Password reset for user: ${user_id}, revoked ${revoked} sessions`);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error resetting password:', error);
+    sendError(res, 500, 'Failed to reset password');
+  } finally {
+    client.release();
+  }
+}));
+
+// Auth middleware
+const authenticateToken = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return sendError(res, 401, 'Access token required');
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    // A 401 tells the client to try POST /api/auth/refresh
+    if (err.name === 'TokenExpiredError') {
+      return sendError(res, 401, 'Access token expired', { code: 'token_expired' });
+    }
+    console.error('Token verification error:', err.message);
+    return sendError(res, 403, 'Invalid or expired token', { code: 'invalid_token' });
+  }
+
+  // Tokens issued before sessions existed have no sessionId and can't be revoked, so they're refused.
+  // The role is read alongside, so permission checks don't need a query of their own.
+  const session = user.sessionId && await pool.query(`
+    SELECT u.role, u.totp_enabled FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+  `, [user.sessionId, user.userId]);
+
+  if (!session || session.rows.length === 0) {
+    return sendError(res, 401, 'Session has been revoked, please log in again', { code: 'session_revoked' });
+  }
+
+  req.user = { ...user, role: session.rows[0].role, totpEnabled: session.rows[0].totp_enabled };
+  next();
+});
+
+// Like authenticateToken, but lets anonymous visitors through without req.user
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  authenticateToken(req, res, next);
+};
+
+// ROLE HELPERS
+// Role permissions rarely change, so they're cached for a minute rather than read on every admin request.
+// Edits made through /api/admin/roles clear the cache straight away.
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let roleCache = { loadedAt: 0, permissions: new Map() };
+
+async function getRolePermissions(roleId) {
+  if (Date.now() - roleCache.loadedAt > ROLE_CACHE_TTL_MS) {
+    const result = await pool.query('SELECT id, permissions FROM roles');
+    roleCache = { loadedAt: Date.now(), permissions: new Map(result.rows.map(row => [row.id, row.permissions])) };
+  }
+  return roleCache.permissions.get(roleId) || [];
+}
+
+const clearRoleCache = () => {
+  roleCache.loadedAt = 0;
+};
+
+// Staff can only hand out what they have themselves, so nobody can promote their way past their own role
+const canGrant = (granted, permissions) => permissions.every(permission => hasPermission(granted, permission));
+
+// Admin middleware; runs after authenticateToken and passes when the role grants any of the permissions
+const requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+  const granted = await getRolePermissions(req.user.role);
+  if (!permissions.some(permission => hasPermission(granted, permission))) {
+    return sendError(res, 403, `Permission required: ${permissions.join(' or ')}`, { code: 'permission_denied' });
+  }
+  if (REQUIRE_ADMIN_2FA && !req.user.totpEnabled) {
+    return sendError(res, 403, 'Enable two-factor authentication at /api/me/2fa to use the admin API', { code: 'two_factor_required' });
+  }
+  req.permissions = granted;
+  next();
+});
+
+// ACCOUNT ENDPOINTS
+app.post('/api/auth/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeUserSessions(req.user.userId);
+
+  console.log(`🔒 Revoked ${revoked} sessions for user:`, req.user.userId);
+  res.json({ message: 'Logged out of all sessions', revokedSessions: revoked });
+}));
+
+app.post('/api/auth/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  const user = result.rows[0];
+  if (user.email_verified) {
+    return sendError(res, 400, 'Email is already verified');
+  }
+
+  await sendVerificationEmail(user);
+  res.json({ message: 'Verification email sent' });
+}));
+
+app.get('/api/me', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  res.json(formatUserProfile(result.rows[0]));
+}));
+
+// Empty strings and null clear a field
+app.patch('/api/me', authenticateToken, validate({
+  body: {
+    first_name: v.string({ nullable: true, maxLength: 100 }),
+    last_name: v.string({ nullable: true, maxLength: 100 }),
+    phone: v.string({ nullable: true, pattern: PHONE_PATTERN, patternMessage: 'Invalid phone number' }),
+    date_of_birth: v.date({ nullable: true, check: validateDateOfBirth })
+  }
+}), asyncHandler(async (req, res) => {
+  const editableFields = ['first_name', 'last_name', 'phone', 'date_of_birth'];
+  const updates = [];
+  const params = [];
+  let paramCount = 0;
+
+  for (const field of editableFields) {
+    if (req.body[field] === undefined) {
+      continue;
+    }
+
+    paramCount++;
+    updates.push(`${field} = $${paramCount}`);
+    params.push(req.body[field]);
+  }
+
+  if (updates.length === 0) {
+    return sendValidationError(res, 'No profile fields to update');
+  }
+
+  paramCount++;
+  params.push(req.user.userId);
+
+  const result = await pool.query(`
+    UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${paramCount}
+    RETURNING *
+  `, params);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  console.log('✏️ Profile updated for user:', req.user.userId);
+
+  res.json({
+    message: 'Profile updated successfully',
+    user: formatUserProfile(result.rows[0])
+  });
+}));
+
+app.get('/api/me/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT u.role, u.totp_enabled,
+      (SELECT COUNT(*) FROM user_backup_codes b WHERE b.user_id = u.id AND b.used_at IS NULL) AS backup_codes_remaining
+    FROM users u WHERE u.id = $1
+  `, [req.user.userId]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  const user = result.rows[0];
+  res.json({
+    enabled: user.totp_enabled || false,
+    required: REQUIRE_ADMIN_2FA && user.role !== 'customer',
+    backup_codes_remaining: parseInt(user.backup_codes_remaining)
+  });
+}));
+
+// Starts enrollment: a new secret is stored but doesn't count until a code from it is confirmed
+app.post('/api/me/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT email, totp_enabled FROM users WHERE id = $1', [req.user.userId]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+  if (result.rows[0].totp_enabled) {
+    return sendError(res, 409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+  await pool.query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [totp.encryptSecret(secret, TOTP_ENCRYPTION_KEY), req.user.userId]
+  );
+
+  res.json({
+    secret,
+    otpauth_url: totp.provisioningUri({ secret, accountName: result.rows[0].email, issuer: 'BINGO' })
+  });
+}));
+
+const SECOND_FACTOR_BODY = { code: v.string({ required: true, maxLength: 20 }) };
+
+app.post('/api/me/2fa/enable', authenticateToken, validate({ body: SECOND_FACTOR_BODY }), asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.totp_secret) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Start with POST /api/me/2fa/setup');
+    }
+    if (user.totp_enabled) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, 'Two-factor authentication is already enabled');
+    }
+
+    const step = totp.verifyCode(await readTotpSecret(client, user), code);
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Invalid authentication code');
+    }
+
+    await client.query(`
+      UPDATE users SET totp_enabled = true, totp_last_step = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [step, req.user.userId]);
+    const backupCodes = await replaceBackupCodes(req.user.userId, client);
+
+    await client.query('COMMIT');
+
+    console.log('🔐 Two-factor authentication enabled for user:', req.user.userId);
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      backup_codes: backupCodes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error enabling two-factor authentication:', error);
+    sendError(res, 500, 'Failed to enable two-factor authentication');
+  } finally {
+    client.release();
+  }
+}));
+
+// Loads the user for a two-factor change and checks the code they sent, or sends the error and returns null
+const loadUserWithSecondFactor = async (req, res) => {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled) {
+    sendError(res, 400, 'Two-factor authentication is not enabled');
+    return null;
+  }
+
+  if (!await verifySecondFactor(user, req.body.code)) {
+    sendError(res, 400, 'Invalid authentication code');
+    return null;
+  }
+  return user;
+};
+
+app.post('/api/me/2fa/backup-codes', authenticateToken, validate({ body: SECOND_FACTOR_BODY }), asyncHandler(async (req, res) => {
+  const user = await loadUserWithSecondFactor(req, res);
+  if (!user) return;
+
+  const backupCodes = await replaceBackupCodes(user.id);
+
+  console.log('🔑 Backup codes regenerated for user:', user.id);
+  res.json({
+    message: 'New backup codes generated; the old ones no longer work',
+    backup_codes: backupCodes
+  });
+}));
+
+app.post('/api/me/2fa/disable', authenticateToken, validate({
+  body: { password: v.string({ required: true }), ...SECOND_FACTOR_BODY }
+}), asyncHandler(async (req, res) => {
+  if (REQUIRE_ADMIN_2FA && req.user.role !== 'customer') {
+    return sendError(res, 403, 'Two-factor authentication is required for staff accounts');
+  }
+
+  const user = await loadUserWithSecondFactor(req, res);
+  if (!user) return;
+
+  const validPassword = await bcrypt.compare(req.body.password, user.password_hash);
+  if (!validPassword) {
+    return sendError(res, 401, 'Password is incorrect');
+  }
+
+  await pool.query(`
+    UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [user.id]);
+  await pool.query('DELETE FROM user_backup_codes WHERE user_id = $1', [user.id]);
+
+  console.log('🔓 Two-factor authentication disabled for user:', user.id);
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+app.post('/api/me/password', authenticateToken, validate({
+  body: {
+    current_password: v.string({ required: true }),
+    new_password: PASSWORD_RULE
+  }
+}), asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.userId]);
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  const validPassword = await bcrypt.compare(current_password, result.rows[0].password_hash);
+  if (!validPassword) {
+    return sendError(res, 401, 'Current password is incorrect');
+  }
+
+  const passwordHash = await bcrypt.hash(new_password, 10);
+  await pool.query(
+    'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [passwordHash, req.user.userId]
+  );
+
+  // Keep the session that made the change; sign out every other device
+  const revoked = await revokeUserSessions(req.user.userId, { exceptSessionId: req.user.sessionId });
+
+  console.log(`🔑 Password changed for user: ${req.user.userId}, revoked ${revoked} other sessions`);
+  res.json({ message: 'Password changed successfully' });
+}));
+
+// STOCK LEDGER HELPERS
+// products.quantity and product_variants.quantity only change through these, so every change leaves
+// a stock_movements row saying what kind it was, why, and who or which order made it
+const STOCK_MOVEMENT_TYPES = ['sale', 'restock', 'adjustment', 'return'];
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+async function recordStockMovement(db, { productId, variantId = null, type, change, quantityAfter, reason = null, orderId = null, changedBy = null }) {
+  await db.query(`
+    INSERT INTO stock_movements (
+      product_id, variant_id, type, quantity_change, quantity_after, reason, order_id, changed_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [productId, variantId, type, change, quantityAfter, reason, orderId, changedBy || null]);
+}
+
+// Locks the stock being changed for the rest of the transaction; null when it doesn't exist
+async function lockStock(db, { productId, variantId = null }) {
+  const result = variantId
+    ? await db.query('SELECT quantity FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE', [variantId, productId])
+    : await db.query('SELECT quantity FROM products WHERE id = $1 FOR UPDATE', [productId]);
+  return result.rows.length > 0 ? { quantity: result.rows[0].quantity || 0 } : null;
+}
+
+/**
+ * Moves stock by `change` (negative for stock going out) and records why.
+ * Resolves to { quantity, sku, lowStockAlert } or null when the product or variant doesn't exist.
+ * lowStockAlert is set when this change took the stock down to its low-stock threshold; pass it to
+ * notifyLowStock() once the transaction has committed.
+ */
+async function changeStock(db, { productId, variantId = null, change, ...movement }) {
+  // Variants have no threshold of their own and use their product's
+  const result = variantId
+    ? await db.query(`
+        UPDATE product_variants v SET quantity = COALESCE(v.quantity, 0) + $1
+        FROM products p
+        WHERE v.id = $2 AND v.product_id = $3 AND p.id = v.product_id
+        RETURNING v.quantity, p.name, COALESCE(v.sku, p.sku) AS sku,
+          v.variant_name || ': ' || v.variant_value AS variant, p.low_stock_threshold
+      `, [change, variantId, productId])
+    : await db.query(`
+        UPDATE products SET quantity = COALESCE(quantity, 0) + $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING quantity, name, sku, NULL AS variant, low_stock_threshold
+      `, [change, productId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+
+  if (change !== 0) {
+    await recordStockMovement(db, { productId, variantId, change, quantityAfter: row.quantity, ...movement });
+  }
+
+  const threshold = row.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const crossedThreshold = row.quantity - change > threshold && row.quantity <= threshold;
+
+  return {
+    quantity: row.quantity,
+    sku: row.sku,
+    lowStockAlert: crossedThreshold ? {
+      productId,
+      variantId,
+      name: row.name,
+      variant: row.variant,
+      sku: row.sku,
+      quantity: row.quantity,
+      lowStockThreshold: threshold
+    } : null
+  };
+}
+
+// Products with variants are only sold through them, so their own quantity is never touched by sales
+async function productHasVariants(db, productId) {
+  const result = await db.query('SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1', [productId]);
+  return result.rows.length > 0;
+}
+
+const sendVariantRequired = (res) =>
+  sendError(res, 409, 'This product is stocked per variant, pass the variantId to change', { code: 'variant_required' });
+
+// Sets stock to an absolute quantity, recording the difference. Same result as changeStock()
+async function setStock(db, { productId, variantId = null, quantity, ...movement }) {
+  const current = await lockStock(db, { productId, variantId });
+  if (!current) {
+    return null;
+  }
+  return changeStock(db, { productId, variantId, change: quantity - current.quantity, ...movement });
+}
+
+// PRODUCT OPTION HELPERS
+const COLOR_CODE_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Used for request problems found deep inside a transaction; route catch blocks turn it into a 400
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// A variant's own stock decides whether that option can be bought, independent of its siblings
+const formatVariant = (variant, product) => ({
+  id: variant.id,
+  name: variant.variant_name,
+  value: variant.variant_value,
+  price_modifier: parseFloat(variant.price_modifier || 0),
+  price: roundMoney(parseFloat(product.price || 0) + parseFloat(variant.price_modifier || 0)),
+  quantity: variant.quantity || 0,
+  sku: variant.sku,
+  in_stock: Boolean(product.in_stock) && ((variant.quantity || 0) > 0 || Boolean(product.allow_backorder))
+});
+
+const formatColor = (color) => ({
+  id: color.id,
+  name: color.color_name,
+  code: color.color_code
+});
+
+async function loadProductOptions(db, product) {
+  const variantsResult = await db.query(
+    'SELECT * FROM product_variants WHERE product_id = $1 ORDER BY variant_name, id',
+    [product.id]
+  );
+  const colorsResult = await db.query(
+    'SELECT * FROM product_colors WHERE product_id = $1 ORDER BY id',
+    [product.id]
+  );
+
+  return {
+    variants: variantsResult.rows.map(variant => formatVariant(variant, product)),
+    colors: colorsResult.rows.map(formatColor)
+  };
+}
+
+// FormData sends nested arrays as JSON strings; JSON bodies send them as-is
+const parseJsonArrayField = (value, field) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      throw badRequest(`${field} must be a JSON array`);
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw badRequest(`${field} must be a JSON array`);
+  }
+  return parsed;
+};
+
+// Returns undefined for fields that weren't sent, so updates leave them alone
+const parseProductOptionsInput = (body) => {
+  const variants = parseJsonArrayField(body.variants, 'variants');
+  const colors = parseJsonArrayField(body.colors, 'colors');
+
+  if (variants) {
+    variants.forEach((variant, index) => {
+      const label = `variants[${index}]`;
+      if (!variant || !variant.name || !variant.value) {
+        throw badRequest(`${label} needs a name and a value`);
+      }
+      if (String(variant.name).length > 100 || String(variant.value).length > 100) {
+        throw badRequest(`${label} name and value must be at most 100 characters`);
+      }
+      if (variant.priceModifier !== undefined && isNaN(parseFloat(variant.priceModifier))) {
+        throw badRequest(`${label} priceModifier must be a number`);
+      }
+      const quantity = Number(variant.quantity ?? 0);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw badRequest(`${label} quantity must be a whole number of zero or more`);
+      }
+      if (variant.sku && String(variant.sku).length > 100) {
+        throw badRequest(`${label} sku must be at most 100 characters`);
+      }
+    });
+  }
+
+  if (colors) {
+    colors.forEach((color, index) => {
+      if (!color || !color.name || String(color.name).length > 50) {
+        throw badRequest(`colors[${index}] needs a name of at most 50 characters`);
+      }
+      if (!COLOR_CODE_PATTERN.test(color.code)) {
+        throw badRequest(`colors[${index}] code must be a hex color like #222222`);
+      }
+    });
+  }
+
+  return { variants, colors };
+};
+
+// Syncs a product's variants with the submitted list: ids update, new entries insert, missing ones go.
+// Stock changes go through the ledger; resolves to the low-stock alerts they raised
+async function saveProductVariants(client, productId, variants, changedBy) {
+  const existingResult = await client.query('SELECT id FROM product_variants WHERE product_id = $1', [productId]);
+  const existingIds = existingResult.rows.map(row => row.id);
+  const keptIds = [];
+  const lowStockAlerts = [];
+
+  for (const variant of variants) {
+    const values = [
+      String(variant.name).trim(),
+      String(variant.value).trim(),
+      parseFloat(variant.priceModifier || 0),
+      variant.sku || null
+    ];
+    const quantity = parseInt(variant.quantity || 0);
+
+    if (variant.id !== undefined && variant.id !== null && variant.id !== '') {
+      const variantId = Number(variant.id);
+      if (!existingIds.includes(variantId)) {
+        throw badRequest(`Variant ${variant.id} does not belong to this product`);
+      }
+      await client.query(`
+        UPDATE product_variants SET
+          variant_name = $1, variant_value = $2, price_modifier = $3, sku = $4
+        WHERE id = $5
+      `, [...values, variantId]);
+      const stock = await setStock(client, {
+        productId, variantId, quantity, type: 'adjustment', reason: 'Product edited', changedBy
+      });
+      if (stock.lowStockAlert) {
+        lowStockAlerts.push(stock.lowStockAlert);
+      }
+      keptIds.push(variantId);
+    } else {
+      const inserted = await client.query(`
+        INSERT INTO product_variants (product_id, variant_name, variant_value, price_modifier, sku, quantity)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [productId, ...values, quantity]);
+      if (quantity !== 0) {
+        await recordStockMovement(client, {
+          productId, variantId: inserted.rows[0].id, type: 'adjustment', change: quantity,
+          quantityAfter: quantity, reason: 'Initial stock', changedBy
+        });
+      }
+    }
+  }
+
+  const removedIds = existingIds.filter(id => !keptIds.includes(id));
+  if (removedIds.length > 0) {
+    // Stock a removed option still held leaves the ledger as an adjustment down to 0
+    for (const variantId of removedIds) {
+      await setStock(client, {
+        productId, variantId, quantity: 0, type: 'adjustment', reason: 'Variant removed', changedBy
+      });
+    }
+
+    // Cart lines for a removed option can't be bought any more, and letting the FK null them
+    // would collide with other lines for the same product
+    await client.query('DELETE FROM cart_items WHERE variant_id = ANY($1)', [removedIds]);
+    await client.query('DELETE FROM product_variants WHERE id = ANY($1)', [removedIds]);
+  }
+
+  return lowStockAlerts;
+}
+
+async function saveProductColors(client, productId, colors) {
+  await client.query('DELETE FROM product_colors WHERE product_id = $1', [productId]);
+  for (const color of colors) {
+    await client.query(
+      'INSERT INTO product_colors (product_id, color_name, color_code) VALUES ($1, $2, $3)',
+      [productId, String(color.name).trim(), color.code]
+    );
+  }
+}
+
+// ADDRESS HELPERS
+const ADDRESS_TYPES = ['shipping', 'billing'];
+const ADDRESS_REQUIRED_FIELDS = ['first_name', 'last_name', 'address_line_1', 'city', 'country'];
+const ADDRESS_FIELD_LIMITS = {
+  first_name: 100,
+  last_name: 100,
+  company: 100,
+  address_line_1: 255,
+  address_line_2: 255,
+  city: 100,
+  state: 100,
+  postal_code: 20,
+  country: 100,
+  phone: 20
+};
+
+// Schema rules for the fields of an address; validateAddress covers the checks between fields
+const ADDRESS_FIELDS = Object.fromEntries(Object.entries(ADDRESS_FIELD_LIMITS).map(([field, limit]) => [field, v.string({
+  required: ADDRESS_REQUIRED_FIELDS.includes(field),
+  maxLength: limit,
+  trim: true,
+  ...(field === 'phone' ? { pattern: PHONE_PATTERN, patternMessage: 'Invalid phone number' } : {})
+})]));
+
+// Keyed by ISO 3166-1 alpha-2 code; countries not listed only get the length check
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  IE: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  BE: /^\d{4}$/,
+  CH: /^\d{4}$/,
+  AT: /^\d{4}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  PL: /^\d{2}-\d{3}$/,
+  AU: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  IN: /^\d{6}$/,
+  PK: /^\d{5}$/,
+  CN: /^\d{6}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  MX: /^\d{5}$/
+};
+
+// Trims every field, blanks become null and two-letter countries are upper-cased
+const normalizeAddress = (address) => {
+  const normalized = {};
+  for (const field of Object.keys(ADDRESS_FIELD_LIMITS)) {
+    const value = typeof address[field] === 'string' ? address[field].trim() : null;
+    normalized[field] = value || null;
+  }
+  if (normalized.country && /^[A-Za-z]{2}$/.test(normalized.country)) {
+    normalized.country = normalized.country.toUpperCase();
+  }
+  if (normalized.postal_code) {
+    normalized.postal_code = normalized.postal_code.toUpperCase();
+  }
+  return normalized;
+};
+
+// Returns { field, message } when the postal code doesn't suit the country, or null when it's fine.
+// Each field on its own has already been checked against ADDRESS_FIELDS
+const validateAddress = (address) => {
+  const normalized = normalizeAddress(address);
+
+  const postalPattern = POSTAL_CODE_PATTERNS[normalized.country];
+  if (postalPattern) {
+    if (!normalized.postal_code) {
+      return { field: 'postal_code', message: `postal_code is required for ${normalized.country}` };
+    }
+    if (!postalPattern.test(normalized.postal_code)) {
+      return { field: 'postal_code', message: `postal_code is not a valid ${normalized.country} postal code` };
+    }
+  }
+
+  return null;
+};
+
+const formatAddress = (address) => ({
+  id: address.id,
+  type: address.type,
+  first_name: address.first_name,
+  last_name: address.last_name,
+  company: address.company,
+  address_line_1: address.address_line_1,
+  address_line_2: address.address_line_2,
+  city: address.city,
+  state: address.state,
+  postal_code: address.postal_code,
+  country: address.country,
+  phone: address.phone,
+  is_default: address.is_default || false,
+  created_at: address.created_at
+});
+
+async function loadSavedAddress(userId, addressId) {
+  if (!/^\d+$/.test(String(addressId))) {
+    return null;
+  }
+  const result = await pool.query('SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2', [addressId, userId]);
+  return result.rows[0] || null;
+}
+
+// Clears any other default of the same type; the partial unique index backs this up
+const clearDefaultAddress = (client, userId, type, keepId) => client.query(
+  'UPDATE user_addresses SET is_default = false WHERE user_id = $1 AND type = $2 AND id <> $3 AND is_default = true',
+  [userId, type, keepId]
+);
+
+// ADDRESS BOOK ENDPOINTS
+const ADDRESS_BODY = { ...ADDRESS_FIELDS, type: v.enum(ADDRESS_TYPES), is_default: v.boolean() };
+const ADDRESS_PARAMS = { id: v.id() };
+
+app.get('/api/me/addresses', authenticateToken, validate({
+  query: { type: v.enum(ADDRESS_TYPES) }
+}), asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  const params = [req.user.userId];
+  let query = 'SELECT * FROM user_addresses WHERE user_id = $1';
+
+  if (type) {
+    params.push(type);
+    query += ' AND type = $2';
+  }
+
+  query += ' ORDER BY type, is_default DESC, created_at DESC, id DESC';
+
+  const result = await pool.query(query, params);
+  res.json(result.rows.map(formatAddress));
+}));
+
+app.post('/api/me/addresses', authenticateToken, validate({ body: ADDRESS_BODY }), asyncHandler(async (req, res) => {
+  const type = req.body.type || 'shipping';
+
+  const addressError = validateAddress(req.body);
+  if (addressError) {
+    return sendValidationError(res, addressError.message, { field: addressError.field });
+  }
+
+  const address = normalizeAddress(req.body);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // The first address of a type becomes its default automatically
+    const countResult = await client.query(
+      'SELECT COUNT(*) AS total FROM user_addresses WHERE user_id = $1 AND type = $2',
+      [req.user.userId, type]
+    );
+    const isDefault = req.body.is_default === true || parseInt(countResult.rows[0].total) === 0;
+
+    const result = await client.query(`
+      INSERT INTO user_addresses (
+        user_id, type, first_name, last_name, company, address_line_1, address_line_2,
+        city, state, postal_code, country, phone, is_default
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, false)
+      RETURNING id
+    `, [
+      req.user.userId, type, address.first_name, address.last_name, address.company,
+      address.address_line_1, address.address_line_2, address.city, address.state,
+      address.postal_code, address.country, address.phone
+    ]);
+    const addressId = result.rows[0].id;
+
+    if (isDefault) {
+      await clearDefaultAddress(client, req.user.userId, type, addressId);
+      await client.query('UPDATE user_addresses SET is_default = true WHERE id = $1', [addressId]);
+    }
+
+    const saved = await client.query('SELECT * FROM user_addresses WHERE id = $1', [addressId]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Address saved successfully',
+      address: formatAddress(saved.rows[0])
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error saving address:', error);
+    sendError(res, 500, 'Failed to save address');
+  } finally {
+    client.release();
+  }
+}));
+
+app.put('/api/me/addresses/:id', authenticateToken, validate({ params: ADDRESS_PARAMS, body: ADDRESS_BODY }), asyncHandler(async (req, res) => {
+  const existing = await loadSavedAddress(req.user.userId, req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Address not found');
+  }
+
+  const type = req.body.type || existing.type;
+
+  const addressError = validateAddress(req.body);
+  if (addressError) {
+    return sendValidationError(res, addressError.message, { field: addressError.field });
+  }
+
+  const address = normalizeAddress(req.body);
+  // Moving an address to another type drops its default flag unless asked to keep it
+  const isDefault = req.body.is_default !== undefined
+    ? req.body.is_default === true
+    : existing.is_default && type === existing.type;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (isDefault) {
+      await clearDefaultAddress(client, req.user.userId, type, existing.id);
+    }
+
+    const result = await client.query(`
+      UPDATE user_addresses SET
+        type = $1, first_name = $2, last_name = $3, company = $4, address_line_1 = $5,
+        address_line_2 = $6, city = $7, state = $8, postal_code = $9, country = $10,
+        phone = $11, is_default = $12
+      WHERE id = $13
+      RETURNING *
+    `, [
+      type, address.first_name, address.last_name, address.company, address.address_line_1,
+      address.address_line_2, address.city, address.state, address.postal_code, address.country,
+      address.phone, isDefault, existing.id
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Address updated successfully',
+      address: formatAddress(result.rows[0])
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error updating address:', error);
+    sendError(res, 500, 'Failed to update address');
+  } finally {
+    client.release();
+  }
+}));
+
+app.post('/api/me/addresses/:id/default', authenticateToken, validate({ params: ADDRESS_PARAMS }), asyncHandler(async (req, res) => {
+  const existing = await loadSavedAddress(req.user.userId, req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Address not found');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await clearDefaultAddress(client, req.user.userId, existing.type, existing.id);
+    const result = await client.query(
+      'UPDATE user_addresses SET is_default = true WHERE id = $1 RETURNING *',
+      [existing.id]
+    );
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Default address updated',
+      address: formatAddress(result.rows[0])
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error setting default address:', error);
+    sendError(res, 500, 'Failed to set default address');
+  } finally {
+    client.release();
+  }
+}));
+
+app.delete('/api/me/addresses/:id', authenticateToken, validate({ params: ADDRESS_PARAMS }), asyncHandler(async (req, res) => {
+  const existing = await loadSavedAddress(req.user.userId, req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Address not found');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM user_addresses WHERE id = $1', [existing.id]);
+
+    // Hand the default over to the most recent remaining address of the same type
+    if (existing.is_default) {
+      await client.query(`
+        UPDATE user_addresses SET is_default = true
+        WHERE id = (
+          SELECT id FROM user_addresses WHERE user_id = $1 AND type = $2
+          ORDER BY created_at DESC, id DESC LIMIT 1
+        )
+      `, [req.user.userId, existing.type]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Address deleted successfully' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error deleting address:', error);
+    sendError(res, 500, 'Failed to delete address');
+  } finally {
+    client.release();
+  }
+}));
+
+// PRODUCT IMAGE HELPERS
+// The rendition stored in product_images.image_url for clients that only read one URL
+const DEFAULT_RENDITION = { size: 'card', format: 'webp' };
+
+/**
+ * Resize every uploaded file into its renditions (see lib/images.js) and put them in storage
+ * under products/. The staged originals are left for the caller to remove once the database
+ * work has committed.
+ */
+async function processUploadedImages(files = []) {
+  const processed = [];
+
+  try {
+    for (const file of files) {
+      const stagingDir = path.dirname(file.path);
+      const baseName = path.basename(file.filename, path.extname(file.filename));
+
+      let result;
+      try {
+        result = await processImage(file.path, stagingDir, baseName);
+      } catch (error) {
+        throw badRequest(`Could not process image ${file.originalname}: ${error.message}`);
+      }
+
+      const image = { width: result.width, height: result.height, renditions: [] };
+      processed.push(image);
+
+      try {
+        for (const rendition of result.renditions) {
+          const key = `products/${rendition.fileName}`;
+          await getStorage().put(key, path.join(stagingDir, rendition.fileName));
+          image.renditions.push({ ...rendition, key, url: getStorage().url(key) });
+        }
+      } finally {
+        await removeRenditions(stagingDir, result.renditions);
+      }
+    }
+  } catch (error) {
+    await discardProcessedImages(processed);
+    throw error;
+  }
+
+  return processed;
+}
+
+const discardProcessedImages = (processed) => Promise.all(
+  processed.flatMap(image => image.renditions.map(rendition =>
+    getStorage().delete(rendition.key).catch(err => console.error('Error deleting image file:', err))
+  ))
+);
+
+// Puts a staged upload in storage as-is and returns its public URL
+async function storeUploadedFile(prefix, file) {
+  const key = `${prefix}/${file.filename}`;
+  await getStorage().put(key, file.path);
+  return getStorage().url(key);
+}
+
+// Staged originals still carry EXIF/GPS data, so they're never kept once stored
+const removeStagedUploads = (files = []) => {
+  files.forEach(file => {
+    fs.unlink(file.path, err => { if (err) console.error('Error deleting staged upload:', err); });
+  });
+};
+
+// validate() runs after multer on multipart routes, so a rejected request must drop what was staged
+const discardStagedUploads = (req) => removeStagedUploads(req.file ? [req.file] : req.files);
+
+async function insertProductImage(client, productId, processed, imageType, sortOrder) {
+  const fallback = processed.renditions.find(rendition =>
+    rendition.size === DEFAULT_RENDITION.size && rendition.format === DEFAULT_RENDITION.format
+  ) || processed.renditions[0];
+
+  const imageResult = await client.query(`
+    INSERT INTO product_images (product_id, image_url, image_type, sort_order, width, height)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [productId, fallback.url, imageType, sortOrder, processed.width, processed.height]);
+
+  for (const rendition of processed.renditions) {
+    await client.query(`
+      INSERT INTO product_image_renditions (image_id, size, format, url, width, height, bytes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      imageResult.rows[0].id, rendition.size, rendition.format, rendition.url,
+      rendition.width, rendition.height, rendition.bytes
+    ]);
+  }
+}
+
+// Every file behind the given product_images rows: the stored URL plus all renditions
+async function loadImageFileUrls(db, imageIds) {
+  const result = await db.query(`
+    SELECT image_url AS url FROM product_images WHERE id = ANY($1)
+    UNION
+    SELECT url FROM product_image_renditions WHERE image_id = ANY($1)
+  `, [imageIds]);
+  return result.rows.map(row => row.url);
+}
+
+// Call after the rows are gone; files another row still points at (e.g. via CSV import) are kept
+async function removeUnreferencedUploads(urls) {
+  if (urls.length === 0) return;
+
+  const stillUsed = await pool.query(`
+    SELECT image_url AS url FROM product_images WHERE image_url = ANY($1)
+    UNION
+    SELECT url FROM product_image_renditions WHERE url = ANY($1)
+  `, [urls]);
+  const keep = new Set(stillUsed.rows.map(row => row.url));
+
+  urls.filter(url => !keep.has(url)).forEach(deleteUploadedFile);
+}
+
+/**
+ * Public image shape: `srcset` holds one ready-made srcset string per format and `urls` the
+ * WebP URL for each named size. Both are null for images uploaded before renditions existed.
+ */
+const formatProductImage = (image) => {
+  const renditions = image.renditions || [];
+  const srcset = {};
+  const urls = {};
+
+  for (const rendition of renditions) {
+    const candidates = srcset[rendition.format] = srcset[rendition.format] || [];
+    // Small originals aren't enlarged, so several sizes can share a width
+    if (!candidates.some(candidate => candidate.width === rendition.width)) {
+      candidates.push({ url: rendition.url, width: rendition.width });
+    }
+    if (rendition.format === DEFAULT_RENDITION.format) {
+      urls[rendition.size] = rendition.url;
+    }
+  }
+
+  return {
+    id: image.id,
+    image_url: image.image_url,
+    image_type: image.image_type,
+    sort_order: image.sort_order,
+    alt_text: image.alt_text || null,
+    width: image.width || null,
+    height: image.height || null,
+    srcset: renditions.length > 0
+      ? Object.fromEntries(Object.entries(srcset).map(([format, candidates]) => [
+        format,
+        candidates.map(candidate => `${candidate.url} ${candidate.width}w`).join(', ')
+      ]))
+      : null,
+    urls: renditions.length > 0 ? urls : null
+  };
+};
+
+// Shape shared by the public product list and anything that shows products the same way (e.g. wishlists).
+// `relations` is this product's entry from loadProductRelations
+const formatPublicProduct = (product, relations) => {
+  const productImages = relations.images.map(formatProductImage);
+  const primaryImage = productImages.find(img => img.image_type === 'primary') || null;
+
+  return {
+    id: product.id,
+    name: product.name,
+    price: parseFloat(product.price || 0),
+    old_price: product.old_price ? parseFloat(product.old_price) : null,
+    description: product.description,
+    categories: relations.categories,
+    in_stock: product.in_stock,
+    sku: product.sku,
+    quantity: product.quantity || 0,
+    trending: product.trending || false,
+    best_seller: product.best_seller || false,
+    new_arrival: product.new_arrival || false,
+    product_images: productImages,
+    variants: relations.variants.map(variant => formatVariant(variant, product)),
+    colors: relations.colors.map(formatColor),
+    // Primary image with srcset, for <picture>/<img srcset> markup
+    image: primaryImage,
+    // Add legacy image_url field for compatibility
+    image_url: primaryImage?.image_url || '/images/placeholder.jpg'
+  };
+};
+
+async function formatPublicProducts(rows) {
+  const relations = await loadProductRelations(pool, rows.map(row => row.id));
+  return rows.map(row => formatPublicProduct(row, relations.get(row.id)));
+}
+
+// CATALOG LISTING HELPERS
+// Each sort orders by one key with the product id as tie-breaker, which is also what the
+// pagination cursor records. `type` is the SQL type the cursor value is cast back to.
+// Keys must never be NULL: a row comparison against NULL matches nothing and ends the paging
+// early, so nullable columns are coalesced (missing dates sort as oldest, prices as 0).
+const PRODUCT_SORTS = {
+  newest: { key: "COALESCE(p.created_at, '-infinity'::timestamp)", type: 'timestamp', direction: 'DESC' },
+  price_asc: { key: 'COALESCE(p.price, 0)', type: 'numeric', direction: 'ASC' },
+  price_desc: { key: 'COALESCE(p.price, 0)', type: 'numeric', direction: 'DESC' },
+  rating: { key: 'COALESCE(p.rating, 0)', type: 'numeric', direction: 'DESC' },
+  name: { key: "LOWER(COALESCE(p.name, ''))", type: 'text', direction: 'ASC' }
+};
+const MAX_CATEGORY_FILTERS = 20;
+
+// Paging parameters of every list endpoint; parsePagination fills in the defaults
+const PAGINATION_QUERY = {
+  limit: v.integer({ min: 1, max: 100 }),
+  offset: v.integer({ min: 0 })
+};
+
+// Query schema shared by the product listings. `extraSorts` are sort names allowed on top of PRODUCT_SORTS (e.g. relevance)
+const catalogListingQuery = (extraSorts = []) => ({
+  ...PAGINATION_QUERY,
+  category: v.array(v.string(), { single: true }),
+  categories: v.array(v.string(), { single: true }),
+  min_price: v.number({ min: 0 }),
+  max_price: v.number({ min: 0 }),
+  on_sale: v.boolean(),
+  sort: v.enum([...Object.keys(PRODUCT_SORTS), ...extraSorts]),
+  cursor: v.string({ maxLength: 500 })
+});
+
+const encodeProductCursor = (sort, row) =>
+  Buffer.from(JSON.stringify({ sort, value: row.cursor_value, id: row.id })).toString('base64url');
+
+const decodeProductCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded && typeof decoded.sort === 'string' && typeof decoded.id === 'string' &&
+        typeof decoded.value === 'string') {
+      return decoded;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor response
+  }
+  return null;
+};
+
+// ?category=a,b and repeated ?category=a&category=b (or `categories`) all mean "in any of these"
+const parseCategoryFilter = (query) => {
+  const values = [query.category, query.categories]
+    .flat()
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+};
+
+/**
+ * Read the listing options from a query that passed catalogListingQuery(), checking the
+ * parameters that depend on each other. Returns { error, field } or the parsed listing options.
+ */
+const parseCatalogListing = (query, { defaultSort = 'newest' } = {}) => {
+  const categories = parseCategoryFilter(query);
+  if (categories.length > MAX_CATEGORY_FILTERS) {
+    return { error: `At most ${MAX_CATEGORY_FILTERS} categories can be filtered on at once`, field: 'category' };
+  }
+
+  if (query.min_price !== undefined && query.max_price !== undefined && query.min_price > query.max_price) {
+    return { error: 'min_price cannot be greater than max_price', field: 'min_price' };
+  }
+
+  const sort = query.sort || defaultSort;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeProductCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      return { error: 'Invalid cursor', field: 'cursor' };
+    }
+  }
+
+  const { limit, offset } = parsePagination(query);
+
+  return {
+    categories,
+    minPrice: query.min_price,
+    maxPrice: query.max_price,
+    onSale: query.on_sale === true,
+    sort,
+    cursor,
+    limit,
+    offset: cursor ? 0 : offset
+  };
+};
+
+const appendCatalogFilters = (listing, conditions, params) => {
+  if (listing.categories.length > 0) {
+    params.push(listing.categories);
+    conditions.push(`EXISTS (SELECT 1 FROM product_categories pc WHERE pc.product_id = p.id AND pc.category_id = ANY($${params.length}))`);
+  }
+
+  if (listing.minPrice !== undefined) {
+    params.push(listing.minPrice);
+    conditions.push(`p.price >= $${params.length}`);
+  }
+
+  if (listing.maxPrice !== undefined) {
+    params.push(listing.maxPrice);
+    conditions.push(`p.price <= $${params.length}`);
+  }
+
+  if (listing.onSale) {
+    conditions.push('p.old_price > p.price');
+  }
+};
+
+/**
+ * Fetch one page of products. With a cursor the page starts right after the row it points
+ * at (keyset pagination), otherwise at `offset`. One extra row is read to know if there's more.
+ */
+async function queryProductPage({ where, params, listing, sort }) {
+  const queryParams = [...params];
+  const conditions = [where];
+  const direction = sort.direction;
+
+  if (listing.cursor) {
+    queryParams.push(listing.cursor.value, listing.cursor.id);
+    const comparison = direction === 'DESC' ? '<' : '>';
+    conditions.push(`(${sort.key}, p.id) ${comparison} ($${queryParams.length - 1}::${sort.type}, $${queryParams.length})`);
+  }
+
+  let query = `
+    SELECT p.*, (${sort.key})::text AS cursor_value
+    FROM products p
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${sort.key} ${direction}, p.id ${direction}`;
+
+  queryParams.push(listing.limit + 1);
+  query += ` LIMIT $${queryParams.length}`;
+
+  queryParams.push(listing.offset);
+  query += ` OFFSET $${queryParams.length}`;
+
+  const result = await pool.query(query, queryParams);
+  const hasMore = result.rows.length > listing.limit;
+  const rows = result.rows.slice(0, listing.limit);
+
+  return {
+    rows,
+    hasMore,
+    nextCursor: hasMore ? encodeProductCursor(listing.sort, rows[rows.length - 1]) : null
+  };
+}
+
+// PRODUCT SEARCH HELPERS
+// Must match the expression of idx_products_search exactly, or the planner skips the index
+const productSearchDocument = (alias = '') =>
+  `(setweight(to_tsvector('english', coalesce(${alias}name, '')), 'A') || ` +
+  `setweight(to_tsvector('simple', coalesce(${alias}sku, '')), 'A') || ` +
+  `setweight(to_tsvector('english', coalesce(${alias}description, '')), 'B'))`;
+const PRODUCT_SEARCH_DOCUMENT = productSearchDocument('p.');
+
+const FUZZY_SIMILARITY = 0.3;
+const FUZZY_WORD_SIMILARITY = 0.4;
+
+// Set by initializeDatabase once the pg_trgm extension is confirmed
+let trigramSearchEnabled = false;
+
+const PRICE_BANDS = [
+  { key: 'under-50', min: null, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-200', min: 100, max: 200 },
+  { key: '200-500', min: 200, max: 500 },
+  { key: '500-plus', min: 500, max: null }
+];
+
+// "red sneak" -> "red & sneak:*", so the last word matches as a prefix while typing
+const buildSearchTsQuery = (term) => {
+  const words = String(term).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+
+  return words.slice(0, 10)
+    .map((word, index, list) => index === list.length - 1 ? `${word}:*` : word)
+    .join(' & ');
+};
+
+/**
+ * WHERE clause for the storefront listing. searchMode picks how `search` is matched:
+ * fulltext (weighted tsvector), fuzzy (pg_trgm similarity on the name) or contains (ILIKE).
+ * Returns { where, params, rank } where rank is an ORDER BY expression when searching.
+ */
+const buildPublicProductFilters = (query, listing, searchMode) => {
+  const { search, trending, best_seller, new_arrival } = query;
+  const conditions = ['p.in_stock = true'];
+  const params = [];
+  let rank = null;
+
+  if (search && searchMode === 'fulltext') {
+    params.push(buildSearchTsQuery(search));
+    conditions.push(`${PRODUCT_SEARCH_DOCUMENT} @@ to_tsquery('english', $${params.length})`);
+    rank = `ts_rank(${PRODUCT_SEARCH_DOCUMENT}, to_tsquery('english', $${params.length}))`;
+  } else if (search && searchMode === 'fuzzy') {
+    params.push(String(search).trim());
+    const term = `$${params.length}`;
+    conditions.push(`(similarity(p.name, ${term}) >= ${FUZZY_SIMILARITY} OR word_similarity(${term}, p.name) >= ${FUZZY_WORD_SIMILARITY} OR p.sku ILIKE ${term})`);
+    rank = `GREATEST(similarity(p.name, ${term}), word_similarity(${term}, p.name))`;
+  } else if (search) {
+    params.push(`%${String(search).trim()}%`);
+    conditions.push(`(p.name ILIKE $${params.length} OR p.description ILIKE $${params.length} OR p.sku ILIKE $${params.length})`);
+  }
+
+  appendCatalogFilters(listing, conditions, params);
+
+  if (trending) {
+    conditions.push('p.trending = true');
+  }
+
+  if (best_seller) {
+    conditions.push('p.best_seller = true');
+  }
+
+  if (new_arrival) {
+    conditions.push('p.new_arrival = true');
+  }
+
+  return { where: conditions.join(' AND '), params, rank };
+};
+
+async function countProducts({ where, params }) {
+  const result = await pool.query(`SELECT COUNT(*) AS total FROM products p WHERE ${where}`, params);
+  return parseInt(result.rows[0].total);
+}
+
+// Counts for the whole filtered result set, not just the current page
+async function loadProductFacets({ where, params }) {
+  const bandColumns = PRICE_BANDS.map((band, index) => {
+    const bounds = [];
+    if (band.min !== null) bounds.push(`p.price >= ${band.min}`);
+    if (band.max !== null) bounds.push(`p.price < ${band.max}`);
+    return `COUNT(*) FILTER (WHERE ${bounds.join(' AND ')}) AS price_band_${index}`;
+  });
+
+  const [summaryResult, categoriesResult] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE p.trending) AS trending,
+        COUNT(*) FILTER (WHERE p.best_seller) AS best_seller,
+        COUNT(*) FILTER (WHERE p.new_arrival) AS new_arrival,
+        ${bandColumns.join(',\n        ')}
+      FROM products p
+      WHERE ${where}
+    `, params),
+    pool.query(`
+      SELECT c.id, c.name, COUNT(*) AS count
+      FROM products p
+      JOIN product_categories pc ON pc.product_id = p.id
+      JOIN categories c ON c.id = pc.category_id
+      WHERE ${where} AND c.active = true
+      GROUP BY c.id, c.name, c.sort_order
+      ORDER BY c.sort_order, c.name
+    `, params)
+  ]);
+
+  const summary = summaryResult.rows[0];
+
+  return {
+    total: parseInt(summary.total),
+    facets: {
+      categories: categoriesResult.rows.map(row => ({ id: row.id, name: row.name, count: parseInt(row.count) })),
+      price_bands: PRICE_BANDS.map((band, index) => ({
+        key: band.key,
+        min: band.min,
+        max: band.max,
+        count: parseInt(summary[`price_band_${index}`])
+      })),
+      flags: {
+        trending: parseInt(summary.trending),
+        best_seller: parseInt(summary.best_seller),
+        new_arrival: parseInt(summary.new_arrival)
+      }
+    }
+  };
+}
+
+// PUBLIC PRODUCTS ENDPOINTS
+// Answers with the plain product array; the total and next cursor ride along in the X-Total-Count
+// and X-Next-Cursor headers. Pass facets=1 for { products, facets, search, pagination } instead
+app.get('/api/products', validate({
+  query: {
+    ...catalogListingQuery(['relevance']),
+    search: v.string({ maxLength: 200 }),
+    trending: v.boolean(),
+    best_seller: v.boolean(),
+    new_arrival: v.boolean(),
+    facets: v.boolean()
+  }
+}), asyncHandler(async (req, res) => {
+  console.log('📦 Public products endpoint hit with query:', req.query);
+  
+  const searchTerm = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+  const listing = parseCatalogListing(req.query, { defaultSort: searchTerm ? 'relevance' : 'newest' });
+  if (listing.error) {
+    return sendValidationError(res, listing.error, { field: listing.field, location: 'query' });
+  }
+
+  // Facet counts cost two extra aggregates, so they're only worked out when asked for
+  const countMatches = req.query.facets
+    ? loadProductFacets
+    : async (filters) => ({ total: await countProducts(filters), facets: null });
+
+  // Full-text first; if nothing matches, retry with the typo-tolerant fallback
+  let searchMode = searchTerm ? (buildSearchTsQuery(searchTerm) ? 'fulltext' : 'contains') : null;
+  let filters = buildPublicProductFilters(req.query, listing, searchMode);
+  let { total, facets } = await countMatches(filters);
+
+  if (searchMode === 'fulltext' && total === 0) {
+    searchMode = trigramSearchEnabled ? 'fuzzy' : 'contains';
+    filters = buildPublicProductFilters(req.query, listing, searchMode);
+    ({ total, facets } = await countMatches(filters));
+  }
+
+  // Relevance needs a rank to order by; plain ILIKE matching has none
+  const sort = listing.sort === 'relevance'
+    ? (filters.rank ? { key: `COALESCE(${filters.rank}, 0)`, type: 'real', direction: 'DESC' } : PRODUCT_SORTS.newest)
+    : PRODUCT_SORTS[listing.sort];
+
+  const { rows, hasMore, nextCursor } = await queryProductPage({ ...filters, listing, sort });
+  
+  // Categories, images and options for the whole page in one query each
+  const products = await formatPublicProducts(rows);
+
+  console.log(`Returning ${products.length} of ${total} products`);
+  if (!req.query.facets) {
+    res.set('X-Total-Count', String(total));
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    return res.json(products);
+  }
+
+  res.json({
+    products,
+    facets,
+    search: searchTerm ? { query: searchTerm, mode: searchMode } : null,
+    pagination: {
+      total,
+      limit: listing.limit,
+      offset: listing.offset,
+      hasMore,
+      nextCursor
+    }
+  });
+}));
+
+// Lightweight search-as-you-type: a few product names plus matching categories
+app.get('/api/products/suggest', validate({
+  query: {
+    q: v.string({ maxLength: 200 }),
+    limit: v.integer({ min: 1, max: 20, default: 8 })
+  }
+}), asyncHandler(async (req, res) => {
+  const term = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+  const { limit } = req.query;
+
+  if (term.length < 2) {
+    return res.json({ query: term, products: [], categories: [] });
+  }
+
+  const params = [`%${term}%`];
+  const matches = ['p.name ILIKE $1', 'p.sku ILIKE $1'];
+  const ranks = [];
+
+  const tsQuery = buildSearchTsQuery(term);
+  if (tsQuery) {
+    params.push(tsQuery);
+    matches.push(`${PRODUCT_SEARCH_DOCUMENT} @@ to_tsquery('english', $${params.length})`);
+    ranks.push(`ts_rank(${PRODUCT_SEARCH_DOCUMENT}, to_tsquery('english', $${params.length})) DESC`);
+  }
+  if (trigramSearchEnabled) {
+    params.push(term);
+    matches.push(`word_similarity($${params.length}, p.name) >= ${FUZZY_WORD_SIMILARITY}`);
+    ranks.push(`word_similarity($${params.length}, p.name) DESC`);
+  }
+  params.push(limit);
+
+  const [productsResult, categoriesResult] = await Promise.all([
+    pool.query(`
+      SELECT p.id, p.name, p.sku, p.price,
+        (SELECT pi.image_url FROM product_images pi WHERE pi.product_id = p.id
+         ORDER BY (pi.image_type = 'primary') DESC, pi.sort_order LIMIT 1) AS image_url
+      FROM products p
+      WHERE p.in_stock = true AND (${matches.join(' OR ')})
+      ORDER BY ${[...ranks, 'p.name'].join(', ')}
+      LIMIT $${params.length}
+    `, params),
+    pool.query(
+      'SELECT id, name FROM categories WHERE active = true AND name ILIKE $1 ORDER BY sort_order, name LIMIT 5',
+      [`%${term}%`]
+    )
+  ]);
+
+  res.json({
+    query: term,
+    products: productsResult.rows.map(product => ({
+      id: product.id,
+      name: product.name,
+      sku: product.sku,
+      price: parseFloat(product.price || 0),
+      image_url: product.image_url || '/images/placeholder.jpg'
+    })),
+    categories: categoriesResult.rows
+  });
+}));
+
+app.get('/api/products/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const result = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+
+  const product = result.rows[0];
+  
+  // Categories, images with renditions, variants and colors
+  const relations = (await loadProductRelations(pool, [id])).get(id);
+  const productImages = relations.images.map(formatProductImage);
+  
+  res.json({
+    id: product.id,
+    name: product.name,
+    price: parseFloat(product.price || 0),
+    oldPrice: product.old_price ? parseFloat(product.old_price) : null,
+    description: product.description,
+    categories: relations.categories,
+    inStock: product.in_stock,
+    sku: product.sku,
+    quantity: product.quantity || 0,
+    trending: product.trending || false,
+    best_seller: product.best_seller || false,
+    new_arrival: product.new_arrival || false,
+    product_images: productImages,
+    images: {
+      primary: productImages.find(img => img.image_type === 'primary')?.image_url || '',
+      gallery: productImages.map(img => img.image_url) || []
+    },
+    variants: relations.variants.map(variant => formatVariant(variant, product)),
+    colors: relations.colors.map(formatColor)
+  });
+}));
+
+// CATEGORY HELPERS
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50);
+
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  description: category.description,
+  image_url: category.image_url,
+  sort_order: category.sort_order || 0,
+  active: category.active !== false,
+  parent_id: category.parent_id,
+  created_at: category.created_at,
+  updated_at: category.updated_at,
+  ...(category.product_count !== undefined ? { product_count: parseInt(category.product_count) } : {})
+});
+
+// Rows must already be in display order. Children whose parent isn't in the list (e.g. an
+// inactive parent on the storefront) are left out along with their whole subtree
+const buildCategoryTree = (rows) => {
+  const nodes = new Map(rows.map(row => [row.id, { ...formatCategory(row), children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    if (!node.parent_id) {
+      roots.push(node);
+    } else if (nodes.has(node.parent_id)) {
+      nodes.get(node.parent_id).children.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// True when making parentId the parent of categoryId would create a loop
+async function wouldCreateCategoryCycle(db, categoryId, parentId) {
+  const result = await db.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id = $1
+      UNION
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE id = $2 LIMIT 1
+  `, [parentId, categoryId]);
+  return result.rows.length > 0;
+}
+
+// Only files the current storage driver owns are removed; placeholders and external URLs are left alone
+const deleteUploadedFile = (url) => {
+  const key = getStorage().keyFromUrl(url);
+  if (key) {
+    getStorage().delete(key).catch(err => console.error('Error deleting image file:', err));
+  }
+};
+
+app.get('/api/categories', validate({
+  query: { tree: v.boolean() }
+}), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM categories WHERE active = true ORDER BY sort_order, name');
+
+  if (req.query.tree) {
+    return res.json(buildCategoryTree(result.rows));
+  }
+
+  res.json(result.rows.map(formatCategory));
+}));
+
+// REVIEW HELPERS
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC, r.id DESC',
+  highest: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  lowest: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+// Only the reviewer's first name and last initial are ever shown publicly
+const formatReviewerName = (firstName, lastName) => {
+  if (!firstName) {
+    return 'Anonymous';
+  }
+  return lastName ? `${firstName} ${lastName.charAt(0)}.` : firstName;
+};
+
+const formatReview = (review) => ({
+  id: review.id,
+  product_id: review.product_id,
+  rating: review.rating,
+  title: review.title,
+  review_text: review.review_text,
+  reviewer_name: formatReviewerName(review.first_name, review.last_name),
+  verified_purchase: review.verified_purchase || false,
+  helpful_count: review.helpful_count || 0,
+  created_at: review.created_at
+});
+
+const reviewModerationStatus = (review) => {
+  if (review.approved) {
+    return 'approved';
+  }
+  return review.moderated_at ? 'rejected' : 'pending';
+};
+
+// products.rating and review_count only ever reflect approved reviews
+async function recalculateProductRating(db, productId) {
+  await db.query(`
+    UPDATE products SET
+      rating = COALESCE((
+        SELECT ROUND(AVG(rating)::numeric, 1) FROM product_reviews
+        WHERE product_id = $1 AND approved = true
+      ), 0),
+      review_count = (
+        SELECT COUNT(*) FROM product_reviews
+        WHERE product_id = $1 AND approved = true
+      )
+    WHERE id = $1
+  `, [productId]);
+}
+
+// REVIEW ENDPOINTS
+app.get('/api/products/:id/reviews', validate({
+  query: { ...PAGINATION_QUERY, sort: v.enum(Object.keys(REVIEW_SORTS)) }
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit, offset } = parsePagination(req.query);
+  const orderBy = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+
+  const productResult = await pool.query('SELECT rating, review_count FROM products WHERE id = $1', [id]);
+  if (productResult.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+
+  const result = await pool.query(`
+    SELECT r.*, u.first_name, u.last_name
+    FROM product_reviews r
+    LEFT JOIN users u ON u.id = r.user_id
+    WHERE r.product_id = $1 AND r.approved = true
+    ORDER BY ${orderBy}
+    LIMIT $2 OFFSET $3
+  `, [id, limit, offset]);
+
+  const total = parseInt(productResult.rows[0].review_count || 0);
+
+  res.json({
+    reviews: result.rows.map(formatReview),
+    summary: {
+      rating: parseFloat(productResult.rows[0].rating || 0),
+      review_count: total
+    },
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+app.post('/api/products/:id/reviews', authenticateToken, validate({
+  body: {
+    rating: v.integer({ required: true, min: 1, max: 5 }),
+    title: v.string({ maxLength: 255 }),
+    reviewText: v.string({ maxLength: 5000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, title, reviewText } = req.body;
+
+  const productResult = await pool.query('SELECT id FROM products WHERE id = $1', [id]);
+  if (productResult.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+
+  const existing = await pool.query(
+    'SELECT id FROM product_reviews WHERE product_id = $1 AND user_id = $2',
+    [id, req.user.userId]
+  );
+  if (existing.rows.length > 0) {
+    return sendError(res, 409, 'You have already reviewed this product');
+  }
+
+  // Verified means the reviewer actually received the product
+  const purchaseResult = await pool.query(`
+    SELECT 1 FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    WHERE o.user_id = $1 AND o.status = 'delivered' AND oi.product_id = $2
+    LIMIT 1
+  `, [req.user.userId, id]);
+
+  const result = await pool.query(`
+    INSERT INTO product_reviews (product_id, user_id, rating, title, review_text, verified_purchase, approved)
+    VALUES ($1, $2, $3, $4, $5, $6, false)
+    RETURNING *
+  `, [id, req.user.userId, rating, title || null, reviewText || null, purchaseResult.rows.length > 0]);
+
+  console.log('📝 Review submitted for product:', id);
+
+  res.status(201).json({
+    message: 'Thanks! Your review will appear once it has been approved.',
+    review: {
+      ...formatReview(result.rows[0]),
+      status: 'pending'
+    }
+  });
+}));
+
+app.post('/api/products/:id/reviews/:reviewId/helpful', authenticateToken, validate({
+  params: { reviewId: v.id() }
+}), asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  const reviewResult = await pool.query(
+    'SELECT user_id FROM product_reviews WHERE id = $1 AND product_id = $2 AND approved = true',
+    [reviewId, id]
+  );
+  if (reviewResult.rows.length === 0) {
+    return sendError(res, 404, 'Review not found');
+  }
+
+  if (reviewResult.rows[0].user_id === req.user.userId) {
+    return sendError(res, 400, 'You cannot vote on your own review');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // One vote per user; repeat votes are a no-op
+    const vote = await client.query(
+      'INSERT INTO review_helpful_votes (review_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [reviewId, req.user.userId]
+    );
+
+    const result = vote.rowCount > 0
+      ? await client.query('UPDATE product_reviews SET helpful_count = helpful_count + 1 WHERE id = $1 RETURNING helpful_count', [reviewId])
+      : await client.query('SELECT helpful_count FROM product_reviews WHERE id = $1', [reviewId]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: vote.rowCount > 0 ? 'Thanks for your feedback' : 'You already marked this review as helpful',
+      helpful_count: result.rows[0].helpful_count
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error recording helpful vote:', error);
+    sendError(res, 500, 'Failed to record vote');
+  } finally {
+    client.release();
+  }
+}));
+
+// CART HELPERS
+const CART_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const MAX_CART_ITEM_QUANTITY = 99;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getCartToken = (req) => {
+  const token = req.headers['x-cart-token'] || (req.body && req.body.cartToken);
+  return token && CART_TOKEN_PATTERN.test(token) ? token : null;
+};
+
+// Logged-in users own their cart by user_id, guests by an opaque cart token
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { column: 'user_id', value: req.user.userId };
+  }
+  const token = getCartToken(req);
+  return token ? { column: 'cart_token', value: token } : null;
+};
+
+// Returns an error message when the product (or the chosen variant) can't be sold in this quantity, or null.
+// With a variant, only that variant's stock counts, so one size can sell out while the others stay available
+const checkProductStock = (product, quantity, variant = null) => {
+  const label = variant ? `${product.name} (${variant.variant_value})` : product.name;
+  const available = (variant ? variant.quantity : product.quantity) || 0;
+
+  if (!product.in_stock) {
+    return `${label} is not available`;
+  }
+  if (quantity > available && !product.allow_backorder) {
+    return available > 0
+      ? `Only ${available} of ${label} left in stock`
+      : `${label} is out of stock`;
+  }
+  return null;
+};
+
+// The most of `quantity` that checkProductStock lets through: all of it, whatever is left, or none
+const clampToStock = (product, quantity, variant = null) => {
+  if (!checkProductStock(product, quantity, variant)) {
+    return quantity;
+  }
+  return product.in_stock ? Math.max((variant ? variant.quantity : product.quantity) || 0, 0) : 0;
+};
+
+const lineUnitPrice = (product, variant = null) =>
+  roundMoney(parseFloat(product.price || 0) + (variant ? parseFloat(variant.price_modifier || 0) : 0));
+
+// Products with variants have to be bought as one of them
+async function resolveCartVariant(db, product, variantId) {
+  if (variantId !== undefined && variantId !== null && variantId !== '') {
+    const variantResult = /^\d+$/.test(String(variantId))
+      ? await db.query('SELECT * FROM product_variants WHERE id = $1 AND product_id = $2', [variantId, product.id])
+      : { rows: [] };
+    if (variantResult.rows.length === 0) {
+      return { error: 'Variant not found for this product', status: 404 };
+    }
+    return { variant: variantResult.rows[0] };
+  }
+
+  const countResult = await db.query('SELECT COUNT(*) AS total FROM product_variants WHERE product_id = $1', [product.id]);
+  if (parseInt(countResult.rows[0].total) > 0) {
+    return { error: `Please choose an option for ${product.name}`, status: 400 };
+  }
+  return { variant: null };
+}
+
+async function loadCart(owner) {
+  if (!owner) {
+    return { items: [], summary: { item_count: 0, subtotal: 0 } };
+  }
+
+  const result = await pool.query(`
+    SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity,
+           p.name, p.sku, p.price, p.quantity AS stock_quantity, p.in_stock, p.allow_backorder,
+           v.variant_name, v.variant_value, v.price_modifier, v.quantity AS variant_quantity, v.sku AS variant_sku,
+           (SELECT image_url FROM product_images pi
+            WHERE pi.product_id = p.id AND pi.image_type = 'primary'
+            ORDER BY pi.sort_order LIMIT 1) AS image_url
+    FROM cart_items ci
+    JOIN products p ON p.id = ci.product_id
+    LEFT JOIN product_variants v ON v.id = ci.variant_id
+    WHERE ci.${owner.column} = $1
+    ORDER BY ci.created_at, ci.id
+  `, [owner.value]);
+
+  const items = result.rows.map(row => {
+    const product = {
+      name: row.name,
+      price: row.price,
+      in_stock: row.in_stock,
+      quantity: row.stock_quantity,
+      allow_backorder: row.allow_backorder
+    };
+    const variant = row.variant_id ? {
+      variant_value: row.variant_value,
+      price_modifier: row.price_modifier,
+      quantity: row.variant_quantity
+    } : null;
+    const unitPrice = lineUnitPrice(product, variant);
+
+    return {
+      id: row.id,
+      product_id: row.product_id,
+      variant_id: row.variant_id,
+      variant: variant ? { id: row.variant_id, name: row.variant_name, value: row.variant_value } : null,
+      name: row.name,
+      sku: (variant && row.variant_sku) || row.sku,
+      unit_price: unitPrice,
+      quantity: row.quantity,
+      line_total: roundMoney(unitPrice * row.quantity),
+      image_url: row.image_url || '/images/placeholder.jpg',
+      available_quantity: (variant ? variant.quantity : product.quantity) || 0,
+      // Stock may have changed since the item was added
+      stock_error: checkProductStock(product, row.quantity, variant)
+    };
+  });
+
+  return {
+    items,
+    summary: {
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: roundMoney(items.reduce((sum, item) => sum + item.line_total, 0))
+    }
+  };
+}
+
+const sendCart = async (res, owner, status = 200) => {
+  const cart = await loadCart(owner);
+  res.status(status).json({
+    ...cart,
+    cart_token: owner && owner.column === 'cart_token' ? owner.value : null
+  });
+};
+
+// Moves a guest cart into the user's cart, adding quantities for lines already there.
+// The guest lines went in against stock as it was then, so each one goes through the same
+// checks as adding to the cart again: it's cut down to what's left, or dropped if nothing is
+async function mergeGuestCart(cartToken, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const guestResult = await client.query(`
+      SELECT g.product_id, g.variant_id, g.quantity AS guest_quantity,
+             COALESCE(u.quantity, 0) AS existing_quantity,
+             p.name, p.quantity, p.in_stock, p.allow_backorder,
+             v.id AS found_variant_id, v.variant_value, v.quantity AS variant_quantity,
+             EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = g.product_id) AS has_variants
+      FROM cart_items g
+      JOIN products p ON p.id = g.product_id
+      LEFT JOIN product_variants v ON v.id = g.variant_id AND v.product_id = g.product_id
+      LEFT JOIN cart_items u ON u.user_id = $2 AND u.product_id = g.product_id
+        AND u.variant_id IS NOT DISTINCT FROM g.variant_id
+      WHERE g.cart_token = $1
+      FOR UPDATE OF g
+    `, [cartToken, userId]);
+
+    let merged = 0;
+    for (const line of guestResult.rows) {
+      // Same rule as resolveCartVariant: the variant must still exist, and products with variants need one
+      if (line.variant_id ? !line.found_variant_id : line.has_variants) {
+        continue;
+      }
+
+      const variant = line.variant_id ? { variant_value: line.variant_value, quantity: line.variant_quantity } : null;
+      const wanted = Math.min(line.existing_quantity + line.guest_quantity, MAX_CART_ITEM_QUANTITY);
+      const quantity = clampToStock(line, wanted, variant);
+
+      // Never shrink a line the user already had
+      if (quantity <= line.existing_quantity) {
+        continue;
+      }
+
+      await client.query(`
+        INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0))) WHERE user_id IS NOT NULL
+        DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP
+      `, [userId, line.product_id, line.variant_id, quantity]);
+      merged++;
+    }
+
+    await client.query('DELETE FROM cart_items WHERE cart_token = $1', [cartToken]);
+
+    await client.query('COMMIT');
+
+    if (merged > 0) {
+      console.log(`🛒 Merged ${merged} guest cart items into cart of user:`, userId);
+    }
+    if (merged < guestResult.rows.length) {
+      console.log(`🛒 ${guestResult.rows.length - merged} guest cart items left out of the merge (no stock or option gone) for user:`, userId);
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// CART ENDPOINTS
+const CART_QUANTITY_RANGE = { min: 1, max: MAX_CART_ITEM_QUANTITY };
+const CART_ITEM_PARAMS = { itemId: v.id() };
+
+app.get('/api/cart', optionalAuth, asyncHandler(async (req, res) => {
+  await sendCart(res, getCartOwner(req));
+}));
+
+app.post('/api/cart/items', optionalAuth, validate({
+  body: {
+    productId: v.string({ required: true, maxLength: 50 }),
+    variantId: v.id({ required: false }),
+    quantity: v.integer({ ...CART_QUANTITY_RANGE, default: 1 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { productId, variantId, quantity } = req.body;
+
+  // First add for an anonymous visitor starts a new guest cart
+  const owner = getCartOwner(req) || { column: 'cart_token', value: crypto.randomBytes(24).toString('hex') };
+
+  const productResult = await pool.query('SELECT * FROM products WHERE id = $1', [productId]);
+  if (productResult.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+  const product = productResult.rows[0];
+
+  const { variant, error: variantError, status: variantErrorStatus } = await resolveCartVariant(pool, product, variantId);
+  if (variantError) {
+    return sendError(res, variantErrorStatus, variantError);
+  }
+
+  const existing = await pool.query(
+    `SELECT quantity FROM cart_items WHERE ${owner.column} = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+    [owner.value, productId, variant ? variant.id : null]
+  );
+  const newQuantity = (existing.rows[0]?.quantity || 0) + quantity;
+
+  if (newQuantity > MAX_CART_ITEM_QUANTITY) {
+    return sendError(res, 400, `You can add at most ${MAX_CART_ITEM_QUANTITY} of one item`);
+  }
+
+  const stockError = checkProductStock(product, newQuantity, variant);
+  if (stockError) {
+    return sendError(res, 409, stockError);
+  }
+
+  await pool.query(`
+    INSERT INTO cart_items (${owner.column}, product_id, variant_id, quantity)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (${owner.column}, product_id, (COALESCE(variant_id, 0))) WHERE ${owner.column} IS NOT NULL
+    DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP
+  `, [owner.value, productId, variant ? variant.id : null, newQuantity]);
+
+  await sendCart(res, owner, existing.rows.length > 0 ? 200 : 201);
+}));
+
+app.patch('/api/cart/items/:itemId', optionalAuth, validate({
+  params: CART_ITEM_PARAMS,
+  body: { quantity: v.integer({ required: true, ...CART_QUANTITY_RANGE }) }
+}), asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+  const { quantity } = req.body;
+  const owner = getCartOwner(req);
+
+  if (!owner) {
+    return sendError(res, 404, 'Cart item not found');
+  }
+
+  const itemResult = await pool.query(`
+    SELECT ci.id, ci.variant_id, p.name, p.quantity, p.in_stock, p.allow_backorder,
+           v.variant_value, v.quantity AS variant_quantity
+    FROM cart_items ci
+    JOIN products p ON p.id = ci.product_id
+    LEFT JOIN product_variants v ON v.id = ci.variant_id
+    WHERE ci.id = $1 AND ci.${owner.column} = $2
+  `, [itemId, owner.value]);
+
+  if (itemResult.rows.length === 0) {
+    return sendError(res, 404, 'Cart item not found');
+  }
+
+  const item = itemResult.rows[0];
+  const variant = item.variant_id ? { variant_value: item.variant_value, quantity: item.variant_quantity } : null;
+  const stockError = checkProductStock(item, quantity, variant);
+  if (stockError) {
+    return sendError(res, 409, stockError);
+  }
+
+  await pool.query(
+    'UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [quantity, itemId]
+  );
+
+  await sendCart(res, owner);
+}));
+
+app.delete('/api/cart/items/:itemId', optionalAuth, validate({ params: CART_ITEM_PARAMS }), asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+  const owner = getCartOwner(req);
+
+  if (!owner) {
+    return sendError(res, 404, 'Cart item not found');
+  }
+
+  const result = await pool.query(
+    `DELETE FROM cart_items WHERE id = $1 AND ${owner.column} = $2 RETURNING id`,
+    [itemId, owner.value]
+  );
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Cart item not found');
+  }
+
+  await sendCart(res, owner);
+}));
+
+app.delete('/api/cart', optionalAuth, asyncHandler(async (req, res) => {
+  const owner = getCartOwner(req);
+
+  if (owner) {
+    await pool.query(`DELETE FROM cart_items WHERE ${owner.column} = $1`, [owner.value]);
+  }
+
+  await sendCart(res, owner);
+}));
+
+app.post('/api/cart/coupon', optionalAuth, validate({
+  body: { code: v.string({ required: true, trim: true, maxLength: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const code = normalizeCouponCode(req.body.code);
+
+  const cart = await loadCart(getCartOwner(req));
+  if (cart.items.length === 0) {
+    return sendError(res, 400, 'Your cart is empty');
+  }
+
+  const couponResult = await pool.query('SELECT * FROM coupons WHERE UPPER(code) = $1', [code]);
+  if (couponResult.rows.length === 0) {
+    return sendError(res, 404, 'Invalid coupon code');
+  }
+
+  const coupon = couponResult.rows[0];
+  const evaluation = evaluateCoupon(coupon, cart.summary.subtotal);
+  if (evaluation.error) {
+    return sendError(res, 400, evaluation.error);
+  }
+
+  // Only a preview: the coupon is checked again and redeemed at checkout
+  res.json({
+    coupon: {
+      code: coupon.code,
+      type: coupon.type,
+      value: parseFloat(coupon.value)
+    },
+    subtotal: cart.summary.subtotal,
+    discount_amount: evaluation.discount,
+    subtotal_after_discount: roundMoney(cart.summary.subtotal - evaluation.discount)
+  });
+}));
+
+// WISHLIST HELPERS
+const buildWishlistShareUrl = (token) => `${APP_URL}/wishlist.html?share=${token}`;
+
+async function loadWishlistItems(userId) {
+  const result = await pool.query(`
+    SELECT p.*, w.created_at AS added_at
+    FROM wishlist_items w
+    JOIN products p ON p.id = w.product_id
+    WHERE w.user_id = $1
+    ORDER BY w.created_at DESC, w.id DESC
+  `, [userId]);
+
+  const products = await formatPublicProducts(result.rows);
+  return products.map((product, index) => ({
+    ...product,
+    added_at: result.rows[index].added_at
+  }));
+}
+
+// WISHLIST ENDPOINTS
+app.get('/api/wishlist', authenticateToken, asyncHandler(async (req, res) => {
+  const items = await loadWishlistItems(req.user.userId);
+  const shareResult = await pool.query('SELECT token FROM wishlist_shares WHERE user_id = $1', [req.user.userId]);
+
+  res.json({
+    items,
+    share_url: shareResult.rows.length > 0 ? buildWishlistShareUrl(shareResult.rows[0].token) : null
+  });
+}));
+
+app.post('/api/wishlist', authenticateToken, validate({
+  body: { productId: v.string({ required: true, maxLength: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const { productId } = req.body;
+
+  const productResult = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+  if (productResult.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+
+  const result = await pool.query(
+    'INSERT INTO wishlist_items (user_id, product_id) VALUES ($1, $2) ON CONFLICT (user_id, product_id) DO NOTHING',
+    [req.user.userId, productId]
+  );
+
+  res.status(result.rowCount > 0 ? 201 : 200).json({
+    message: result.rowCount > 0 ? 'Added to wishlist' : 'Already in wishlist',
+    items: await loadWishlistItems(req.user.userId)
+  });
+}));
+
+// Share links are read-only; revoking deletes the token so old links stop working.
+// Registered before /api/wishlist/:productId so "share" isn't taken for a product ID
+app.post('/api/wishlist/share', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    INSERT INTO wishlist_shares (user_id, token) VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+    RETURNING token
+  `, [req.user.userId, crypto.randomBytes(24).toString('hex')]);
+
+  const token = result.rows[0].token;
+  res.json({ token, share_url: buildWishlistShareUrl(token) });
+}));
+
+app.delete('/api/wishlist/share', authenticateToken, asyncHandler(async (req, res) => {
+  await pool.query('DELETE FROM wishlist_shares WHERE user_id = $1', [req.user.userId]);
+  res.json({ message: 'Wishlist share link revoked' });
+}));
+
+app.delete('/api/wishlist/:productId', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2 RETURNING id',
+    [req.user.userId, req.params.productId]
+  );
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Product is not in your wishlist');
+  }
+
+  res.json({
+    message: 'Removed from wishlist',
+    items: await loadWishlistItems(req.user.userId)
+  });
+}));
+
+app.post('/api/wishlist/:productId/move-to-cart', authenticateToken, validate({
+  body: { variantId: v.id({ required: false }) }
+}), asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const owner = getCartOwner(req);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const wishlistResult = await client.query(
+      'SELECT id FROM wishlist_items WHERE user_id = $1 AND product_id = $2',
+      [req.user.userId, productId]
+    );
+    if (wishlistResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Product is not in your wishlist');
+    }
+
+    const productResult = await client.query('SELECT * FROM products WHERE id = $1', [productId]);
+    const product = productResult.rows[0];
+
+    const { variant, error: variantError, status: variantErrorStatus } = await resolveCartVariant(client, product, req.body.variantId);
+    if (variantError) {
+      await client.query('ROLLBACK');
+      return sendError(res, variantErrorStatus, variantError);
+    }
+
+    const existing = await client.query(
+      'SELECT quantity FROM cart_items WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3',
+      [req.user.userId, productId, variant ? variant.id : null]
+    );
+    const newQuantity = (existing.rows[0]?.quantity || 0) + 1;
+
+    const stockError = newQuantity > MAX_CART_ITEM_QUANTITY
+      ? `You can add at most ${MAX_CART_ITEM_QUANTITY} of one item`
+      : checkProductStock(product, newQuantity, variant);
+    if (stockError) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, stockError);
+    }
+
+    await client.query(`
+      INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0))) WHERE user_id IS NOT NULL
+      DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP
+    `, [req.user.userId, productId, variant ? variant.id : null, newQuantity]);
+
+    await client.query('DELETE FROM wishlist_items WHERE id = $1', [wishlistResult.rows[0].id]);
+
+    await client.query('COMMIT');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error moving wishlist item to cart:', error);
+    return sendError(res, 500, 'Failed to move item to cart');
+  } finally {
+    client.release();
+  }
+
+  res.json({
+    message: 'Moved to cart',
+    items: await loadWishlistItems(req.user.userId),
+    cart: await loadCart(owner)
+  });
+}));
+
+app.get('/api/wishlist/shared/:token', asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT s.user_id, u.first_name
+    FROM wishlist_shares s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token = $1
+  `, [req.params.token]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Wishlist not found');
+  }
+
+  const items = await loadWishlistItems(result.rows[0].user_id);
+
+  res.json({
+    owner_name: result.rows[0].first_name || null,
+    items: items.map(({ added_at, ...product }) => product)
+  });
+}));
+
+// ORDER HELPERS
+const SHIPPING_FLAT_RATE = parseFloat(process.env.SHIPPING_FLAT_RATE || 0);
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || 0);
+const TAX_RATE = parseFloat(process.env.TAX_RATE || 0);
+const ORDER_NUMBER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Human-readable and easy to read out over the phone, e.g. BNG-20250524-7KQ2XM
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(6), byte => ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length]).join('');
+  return `BNG-${date}-${suffix}`;
+};
+
+// The field is reported under the address it belongs to, e.g. billingAddress.postal_code
+const validateOrderAddress = (address, field, label) => {
+  const error = validateAddress(address);
+  return error && { field: `${field}.${error.field}`, message: `${label}: ${error.message}` };
+};
+
+const calculateShipping = (subtotal) => {
+  if (FREE_SHIPPING_THRESHOLD > 0 && subtotal >= FREE_SHIPPING_THRESHOLD) {
+    return 0;
+  }
+  return SHIPPING_FLAT_RATE;
+};
+
+const formatOrder = (order, items) => ({
+  id: order.id,
+  order_number: order.order_number,
+  status: order.status,
+  payment_status: order.payment_status,
+  payment_method: order.payment_method,
+  subtotal: parseFloat(order.subtotal),
+  shipping_cost: parseFloat(order.shipping_cost || 0),
+  tax_amount: parseFloat(order.tax_amount || 0),
+  discount_amount: parseFloat(order.discount_amount || 0),
+  coupon_code: order.coupon_code || null,
+  total_amount: parseFloat(order.total_amount),
+  currency: order.currency,
+  shipping_address: order.shipping_address,
+  billing_address: order.billing_address,
+  notes: order.notes,
+  created_at: order.created_at,
+  updated_at: order.updated_at,
+  items: items.map(item => ({
+    id: item.id,
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    product_name: item.product_name,
+    product_sku: item.product_sku,
+    quantity: item.quantity,
+    unit_price: parseFloat(item.unit_price),
+    total_price: parseFloat(item.total_price)
+  }))
+});
+
+// db can be the pool or a client inside a transaction
+async function loadOrder(db, orderId) {
+  const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await db.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [orderId]);
+  return formatOrder(orderResult.rows[0], itemsResult.rows);
+}
+
+// Allowed moves for orders.status, and what each one does to payment_status
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+const RESTOCKING_STATUSES = ['cancelled', 'refunded'];
+
+const nextPaymentStatus = (toStatus, currentPaymentStatus) => {
+  switch (toStatus) {
+    case 'paid':
+      return 'paid';
+    case 'refunded':
+      return 'refunded';
+    case 'cancelled':
+      // Money already taken goes back; otherwise the pending payment is simply dropped
+      return currentPaymentStatus === 'paid' ? 'refunded' : 'cancelled';
+    default:
+      return currentPaymentStatus;
+  }
+};
+
+async function recordOrderStatusChange(db, { orderId, fromStatus = null, toStatus, fromPaymentStatus = null, toPaymentStatus, changedBy, note = null }) {
+  await db.query(`
+    INSERT INTO order_status_history (
+      order_id, from_status, to_status, from_payment_status, to_payment_status, changed_by, note
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [orderId, fromStatus, toStatus, fromPaymentStatus, toPaymentStatus, changedBy || null, note]);
+}
+
+async function loadOrderHistory(db, orderId, { includeActor = false } = {}) {
+  const result = await db.query(`
+    SELECT h.*, u.email AS changed_by_email
+    FROM order_status_history h
+    LEFT JOIN users u ON u.id = h.changed_by
+    WHERE h.order_id = $1
+    ORDER BY h.created_at, h.id
+  `, [orderId]);
+
+  return result.rows.map(row => ({
+    from_status: row.from_status,
+    to_status: row.to_status,
+    from_payment_status: row.from_payment_status,
+    to_payment_status: row.to_payment_status,
+    note: row.note,
+    created_at: row.created_at,
+    ...(includeActor ? { changed_by: row.changed_by ? { id: row.changed_by, email: row.changed_by_email } : null } : {})
+  }));
+}
+
+const formatOrderSummary = (order) => ({
+  id: order.id,
+  order_number: order.order_number,
+  status: order.status,
+  payment_status: order.payment_status,
+  total_amount: parseFloat(order.total_amount),
+  currency: order.currency,
+  item_count: parseInt(order.item_count || 0),
+  created_at: order.created_at,
+  updated_at: order.updated_at
+});
+
+const parsePagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+};
+
+// COUPON HELPERS
+const COUPON_TYPES = ['percentage', 'fixed'];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Works out the discount a coupon gives on a subtotal, or why it can't be used
+const evaluateCoupon = (coupon, subtotal) => {
+  if (!coupon.active) {
+    return { error: 'This coupon is no longer active' };
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) <= new Date()) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  const minimumAmount = coupon.minimum_amount !== null ? parseFloat(coupon.minimum_amount) : 0;
+  if (subtotal < minimumAmount) {
+    return { error: `Spend at least ${minimumAmount.toFixed(2)} to use this coupon` };
+  }
+
+  const value = parseFloat(coupon.value);
+  let discount = coupon.type === 'percentage' ? subtotal * value / 100 : value;
+
+  if (coupon.maximum_discount !== null) {
+    discount = Math.min(discount, parseFloat(coupon.maximum_discount));
+  }
+
+  // Never discount below zero
+  return { discount: roundMoney(Math.min(discount, subtotal)) };
+};
+
+const formatCoupon = (coupon) => ({
+  id: coupon.id,
+  code: coupon.code,
+  type: coupon.type,
+  value: parseFloat(coupon.value),
+  minimumAmount: coupon.minimum_amount !== null ? parseFloat(coupon.minimum_amount) : null,
+  maximumDiscount: coupon.maximum_discount !== null ? parseFloat(coupon.maximum_discount) : null,
+  usageLimit: coupon.usage_limit,
+  usedCount: coupon.used_count || 0,
+  expiresAt: coupon.expires_at,
+  active: coupon.active,
+  createdAt: coupon.created_at
+});
+
+// Admin coupon input; with partial set nothing is required, for updates that only send what changes
+const couponBody = ({ partial = false } = {}) => ({
+  code: v.string({
+    required: !partial,
+    trim: true,
+    check: (code) => COUPON_CODE_PATTERN.test(normalizeCouponCode(code))
+      ? null
+      : 'Code must be 3-50 characters of letters, numbers, dashes or underscores'
+  }),
+  type: v.enum(COUPON_TYPES, { required: !partial }),
+  value: v.number({ required: !partial, check: (value) => value > 0 ? null : 'Value must be a positive number' }),
+  minimumAmount: v.number({ nullable: true, min: 0 }),
+  maximumDiscount: v.number({ nullable: true, min: 0 }),
+  usageLimit: v.integer({ nullable: true, min: 1 }),
+  expiresAt: v.datetime({ nullable: true }),
+  active: v.boolean()
+});
+
+const COUPON_COLUMNS = {
+  code: 'code',
+  type: 'type',
+  value: 'value',
+  minimumAmount: 'minimum_amount',
+  maximumDiscount: 'maximum_discount',
+  usageLimit: 'usage_limit',
+  expiresAt: 'expires_at',
+  active: 'active'
+};
+
+// The columns a validated coupon body sets, leaving out fields that weren't sent
+const couponValues = (body) => {
+  const values = {};
+  for (const [field, column] of Object.entries(COUPON_COLUMNS)) {
+    if (body[field] !== undefined) {
+      values[column] = field === 'code' ? normalizeCouponCode(body.code) : body[field];
+    }
+  }
+  return values;
+};
+
+// CHECKOUT ENDPOINT
+app.post('/api/checkout', authenticateToken, validate({
+  body: {
+    shippingAddressId: v.id({ required: false }),
+    billingAddressId: v.id({ required: false }),
+    shippingAddress: v.object(ADDRESS_FIELDS),
+    billingAddress: v.object(ADDRESS_FIELDS),
+    paymentMethod: v.string({ maxLength: 50 }),
+    notes: v.string({ maxLength: 2000 }),
+    couponCode: v.string({ maxLength: 50 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { shippingAddressId, billingAddressId, paymentMethod, notes, couponCode } = req.body;
+
+  // Saved addresses are copied into the order, so editing the address book later doesn't change it
+  let shippingAddress = req.body.shippingAddress;
+  if (shippingAddressId) {
+    shippingAddress = await loadSavedAddress(req.user.userId, shippingAddressId);
+    if (!shippingAddress) {
+      return sendError(res, 404, 'Shipping address not found');
+    }
+  }
+
+  let billingAddress = req.body.billingAddress || shippingAddress;
+  if (billingAddressId) {
+    billingAddress = await loadSavedAddress(req.user.userId, billingAddressId);
+    if (!billingAddress) {
+      return sendError(res, 404, 'Billing address not found');
+    }
+  }
+
+  if (!shippingAddress) {
+    return sendValidationError(res, 'shippingAddress or shippingAddressId is required', { field: 'shippingAddress' });
+  }
+
+  const addressError = validateOrderAddress(shippingAddress, 'shippingAddress', 'Shipping address') ||
+    validateOrderAddress(billingAddress, 'billingAddress', 'Billing address');
+  if (addressError) {
+    return sendValidationError(res, addressError.message, { field: addressError.field });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const cartResult = await client.query(
+      'SELECT * FROM cart_items WHERE user_id = $1 ORDER BY created_at, id',
+      [req.user.userId]
+    );
+
+    if (cartResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'Your cart is empty');
+    }
+
+    // Lock the products in a stable order so concurrent checkouts queue up instead of deadlocking
+    const productIds = [...new Set(cartResult.rows.map(item => item.product_id))];
+    const productsResult = await client.query(
+      'SELECT * FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [productIds]
+    );
+    const productsById = new Map(productsResult.rows.map(product => [product.id, product]));
+
+    const variantIds = cartResult.rows.filter(item => item.variant_id).map(item => item.variant_id);
+    const variantsResult = await client.query(
+      'SELECT * FROM product_variants WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [variantIds]
+    );
+    const variantsById = new Map(variantsResult.rows.map(variant => [variant.id, variant]));
+
+    const stockErrors = [];
+    for (const item of cartResult.rows) {
+      const product = productsById.get(item.product_id);
+      const variant = item.variant_id ? variantsById.get(item.variant_id) : null;
+      const stockError = product
+        ? checkProductStock(product, item.quantity, variant)
+        : 'A product in your cart no longer exists';
+      if (stockError) {
+        stockErrors.push({ cart_item_id: item.id, product_id: item.product_id, error: stockError });
+      }
+    }
+
+    if (stockErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, 'Some items in your cart are unavailable', { code: 'out_of_stock', items: stockErrors });
+    }
+
+    const lines = cartResult.rows.map(item => {
+      const product = productsById.get(item.product_id);
+      const variant = item.variant_id ? variantsById.get(item.variant_id) : null;
+      const unitPrice = lineUnitPrice(product, variant);
+      return { item, product, variant, unitPrice, totalPrice: roundMoney(unitPrice * item.quantity) };
+    });
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+    let discountAmount = 0;
+    let appliedCouponCode = null;
+
+    if (couponCode) {
+      // The row lock makes concurrent checkouts using the same coupon take turns
+      const couponResult = await client.query(
+        'SELECT * FROM coupons WHERE UPPER(code) = $1 FOR UPDATE',
+        [normalizeCouponCode(couponCode)]
+      );
+      const evaluation = couponResult.rows.length > 0
+        ? evaluateCoupon(couponResult.rows[0], subtotal)
+        : { error: 'Invalid coupon code' };
+
+      if (evaluation.error) {
+        await client.query('ROLLBACK');
+        return sendError(res, 400, evaluation.error);
+      }
+
+      const coupon = couponResult.rows[0];
+      const usageResult = await client.query(`
+        UPDATE coupons SET used_count = used_count + 1
+        WHERE id = $1 AND (usage_limit IS NULL OR used_count < usage_limit)
+        RETURNING id
+      `, [coupon.id]);
+
+      if (usageResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return sendError(res, 409, 'This coupon has reached its usage limit');
+      }
+
+      discountAmount = evaluation.discount;
+      appliedCouponCode = coupon.code;
+    }
+
+    const shippingCost = calculateShipping(subtotal);
+    const taxAmount = roundMoney((subtotal - discountAmount) * TAX_RATE);
+    const totalAmount = roundMoney(subtotal - discountAmount + shippingCost + taxAmount);
+
+    // Collisions are vanishingly rare, but the column is UNIQUE so make sure
+    let orderNumber = generateOrderNumber();
+    while ((await client.query('SELECT 1 FROM orders WHERE order_number = $1', [orderNumber])).rows.length > 0) {
+      orderNumber = generateOrderNumber();
+    }
+
+    const orderResult = await client.query(`
+      INSERT INTO orders (
+        order_number, user_id, status, subtotal, shipping_cost, tax_amount,
+        discount_amount, coupon_code, total_amount, payment_status, payment_method,
+        shipping_address, billing_address, notes
+      ) VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7, $8, 'pending', $9, $10, $11, $12)
+      RETURNING id
+    `, [
+      orderNumber, req.user.userId, subtotal, shippingCost, taxAmount,
+      discountAmount, appliedCouponCode, totalAmount, paymentMethod || null,
+      JSON.stringify(normalizeAddress(shippingAddress)),
+      JSON.stringify(normalizeAddress(billingAddress)),
+      notes || null
+    ]);
+    const orderId = orderResult.rows[0].id;
+    const lowStockAlerts = [];
+
+    for (const { item, product, variant, unitPrice, totalPrice } of lines) {
+      // Snapshot what was bought, so later catalog edits don't rewrite order history
+      const productName = variant ? `${product.name} (${variant.variant_name}: ${variant.variant_value})` : product.name;
+      const productSku = (variant && variant.sku) || product.sku;
+
+      await client.query(`
+        INSERT INTO order_items (
+          order_id, product_id, variant_id, product_name, product_sku,
+          quantity, unit_price, total_price
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [orderId, product.id, item.variant_id, productName, productSku, item.quantity, unitPrice, totalPrice]);
+
+      const stock = await changeStock(client, {
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        change: -item.quantity,
+        type: 'sale',
+        reason: `Order ${orderNumber}`,
+        orderId,
+        changedBy: req.user.userId
+      });
+      if (stock.lowStockAlert) {
+        lowStockAlerts.push(stock.lowStockAlert);
+      }
+    }
+
+    await recordOrderStatusChange(client, {
+      orderId,
+      toStatus: 'pending',
+      toPaymentStatus: 'pending',
+      changedBy: req.user.userId,
+      note: 'Order placed'
+    });
+
+    await client.query('DELETE FROM cart_items WHERE user_id = $1', [req.user.userId]);
+
+    const order = await loadOrder(client, orderId);
+
+    await client.query('COMMIT');
+    notifyLowStock(lowStockAlerts);
+
+    console.log('✅ Order placed successfully:', orderNumber);
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error placing order:', error);
+    sendError(res, 500, 'Failed to place order');
+  } finally {
+    client.release();
+  }
+}));
+
+// CUSTOMER ORDER ENDPOINTS
+app.get('/api/orders', authenticateToken, validate({
+  query: { ...PAGINATION_QUERY, status: v.enum(ORDER_STATUSES) }
+}), asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const { limit, offset } = parsePagination(req.query);
+
+  let where = 'WHERE o.user_id = $1';
+  const params = [req.user.userId];
+
+  if (status) {
+    params.push(status);
+    where += ` AND o.status = $${params.length}`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM orders o ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await pool.query(`
+    SELECT o.*, (SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_id = o.id) AS item_count
+    FROM orders o
+    ${where}
+    ORDER BY o.created_at DESC, o.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  res.json({
+    orders: result.rows.map(formatOrderSummary),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+app.get('/api/orders/:orderNumber', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'SELECT id FROM orders WHERE order_number = $1 AND user_id = $2',
+    [req.params.orderNumber, req.user.userId]
+  );
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Order not found');
+  }
+
+  const orderId = result.rows[0].id;
+  const order = await loadOrder(pool, orderId);
+  order.history = await loadOrderHistory(pool, orderId);
+
+  res.json(order);
+}));
+
+// ADMIN ORDERS ENDPOINTS
+app.get('/api/admin/orders', authenticateToken, requirePermission('orders:read'), validate({
+  query: {
+    ...PAGINATION_QUERY,
+    search: v.string({ maxLength: 200 }),
+    status: v.enum(ORDER_STATUSES),
+    payment_status: v.string({ maxLength: 20 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { search, status, payment_status } = req.query;
+  const { limit, offset } = parsePagination(req.query);
+
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    where += ` AND (o.order_number ILIKE $${params.length} OR u.email ILIKE $${params.length})`;
+  }
+
+  if (status) {
+    params.push(status);
+    where += ` AND o.status = $${params.length}`;
+  }
+
+  if (payment_status) {
+    params.push(payment_status);
+    where += ` AND o.payment_status = $${params.length}`;
+  }
+
+  const countResult = await pool.query(`
+    SELECT COUNT(*) AS total FROM orders o LEFT JOIN users u ON u.id = o.user_id ${where}
+  `, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await pool.query(`
+    SELECT o.*, u.email, u.first_name, u.last_name,
+           (SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_id = o.id) AS item_count
+    FROM orders o
+    LEFT JOIN users u ON u.id = o.user_id
+    ${where}
+    ORDER BY o.created_at DESC, o.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  res.json({
+    orders: result.rows.map(order => ({
+      ...formatOrderSummary(order),
+      customer: order.user_id ? {
+        id: order.user_id,
+        email: order.email,
+        name: [order.first_name, order.last_name].filter(Boolean).join(' ')
+      } : null
+    })),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+app.get('/api/admin/orders/:orderNumber', authenticateToken, requirePermission('orders:read'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT o.id, o.user_id, u.email, u.first_name, u.last_name
+    FROM orders o
+    LEFT JOIN users u ON u.id = o.user_id
+    WHERE o.order_number = $1
+  `, [req.params.orderNumber]);
+
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Order not found');
+  }
+
+  const row = result.rows[0];
+  const order = await loadOrder(pool, row.id);
+  order.customer = row.user_id ? {
+    id: row.user_id,
+    email: row.email,
+    name: [row.first_name, row.last_name].filter(Boolean).join(' ')
+  } : null;
+  order.allowed_transitions = ORDER_STATUS_TRANSITIONS[order.status] || [];
+  order.history = await loadOrderHistory(pool, row.id, { includeActor: true });
+
+  res.json(order);
+}));
+
+app.post('/api/admin/orders/:orderNumber/status', authenticateToken, requirePermission('orders:update'), validate({
+  body: {
+    status: v.enum(ORDER_STATUSES, { required: true }),
+    note: v.string({ maxLength: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { orderNumber } = req.params;
+  const { status, note } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query('SELECT * FROM orders WHERE order_number = $1 FOR UPDATE', [orderNumber]);
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const order = orderResult.rows[0];
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+
+    if (!allowed.includes(status)) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Cannot change order from ${order.status} to ${status}`, {
+        code: 'invalid_transition',
+        allowed_transitions: allowed
+      });
+    }
+
+    const paymentStatus = nextPaymentStatus(status, order.payment_status);
+
+    await client.query(
+      'UPDATE orders SET status = $1, payment_status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [status, paymentStatus, order.id]
+    );
+
+    // Put the goods back on the shelf
+    if (RESTOCKING_STATUSES.includes(status)) {
+      const itemsResult = await client.query(`
+        SELECT oi.product_id, oi.variant_id, oi.quantity,
+          EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = oi.product_id) AS has_variants
+        FROM order_items oi
+        WHERE oi.order_id = $1 AND oi.product_id IS NOT NULL
+        ORDER BY oi.product_id
+      `, [order.id]);
+      for (const item of itemsResult.rows) {
+        // The option this line was bought in has since been deleted. Its stock can't go back to the
+        // product, which nothing sells from while it has variants, so the return is only noted
+        if (!item.variant_id && item.has_variants) {
+          const current = await lockStock(client, { productId: item.product_id });
+          await recordStockMovement(client, {
+            productId: item.product_id,
+            type: 'return',
+            change: 0,
+            quantityAfter: current.quantity,
+            reason: `Order ${orderNumber} ${status}: ${item.quantity} not restocked, their option no longer exists`,
+            orderId: order.id,
+            changedBy: req.user.userId
+          });
+          continue;
+        }
+
+        await changeStock(client, {
+          productId: item.product_id,
+          variantId: item.variant_id,
+          change: item.quantity,
+          type: 'return',
+          reason: `Order ${orderNumber} ${status}`,
+          orderId: order.id,
+          changedBy: req.user.userId
+        });
+      }
+    }
+
+    await recordOrderStatusChange(client, {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus: status,
+      fromPaymentStatus: order.payment_status,
+      toPaymentStatus: paymentStatus,
+      changedBy: req.user.userId,
+      note
+    });
+
+    const updatedOrder = await loadOrder(client, order.id);
+    updatedOrder.allowed_transitions = ORDER_STATUS_TRANSITIONS[status];
+    updatedOrder.history = await loadOrderHistory(client, order.id, { includeActor: true });
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Order ${orderNumber} moved from ${order.status} to ${status}`);
+
+    res.json({
+      message: 'Order status updated successfully',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error updating order status:', error);
+    sendError(res, 500, 'Failed to update order status');
+  } finally {
+    client.release();
+  }
+}));
+
+// ADMIN STAFF ENDPOINTS
+const formatStaffMember = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  role: user.role,
+  lastLogin: user.last_login,
+  createdAt: user.created_at
+});
+
+const STAFF_PARAMS = { id: v.id() };
+const STAFF_ROLE_RULE = v.string({ required: true, maxLength: 20 });
+
+// Loads a staff member for a change, or sends the error and returns null
+const loadStaffMemberForChange = async (req, res) => {
+  if (req.params.id === req.user.userId) {
+    sendError(res, 400, 'You cannot change your own role');
+    return null;
+  }
+
+  const result = await pool.query("SELECT * FROM users WHERE id = $1 AND role <> 'customer'", [req.params.id]);
+  if (result.rows.length === 0) {
+    sendError(res, 404, 'Staff member not found');
+    return null;
+  }
+
+  const staffMember = result.rows[0];
+  if (!canGrant(req.permissions, await getRolePermissions(staffMember.role))) {
+    sendError(res, 403, 'You cannot change a staff member with more access than you');
+    return null;
+  }
+  return staffMember;
+};
+
+// Checks a role can be given to staff by the current user; returns an error response or null
+const checkAssignableRole = async (req, roleId) => {
+  if (roleId === 'customer') {
+    return { status: 400, error: 'A staff role is required' };
+  }
+  const roleResult = await pool.query('SELECT permissions FROM roles WHERE id = $1', [roleId]);
+  if (roleResult.rows.length === 0) {
+    return { status: 400, error: `Unknown role: ${roleId}` };
+  }
+  if (!canGrant(req.permissions, roleResult.rows[0].permissions)) {
+    return { status: 403, error: 'You cannot grant a role with more access than your own' };
+  }
+  return null;
+};
+
+app.get('/api/admin/staff', authenticateToken, requirePermission('staff:manage'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT * FROM users WHERE role <> 'customer'
+    ORDER BY created_at, id
+  `);
+
+  res.json({ staff: result.rows.map(formatStaffMember) });
+}));
+
+// Adds a staff member. An existing customer account is promoted; otherwise an account is created
+// and, without a password, the new staff member gets a reset link to choose their own
+app.post('/api/admin/staff', authenticateToken, requirePermission('staff:manage'), validate({
+  body: {
+    email: v.email({ required: true }),
+    role: STAFF_ROLE_RULE,
+    firstName: v.string({ maxLength: 100 }),
+    lastName: v.string({ maxLength: 100 }),
+    password: v.string({ minLength: MIN_PASSWORD_LENGTH, maxLength: 128 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { role, firstName, lastName, password } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  const roleError = await checkAssignableRole(req, role);
+  if (roleError) {
+    return sendError(res, roleError.status, roleError.error);
+  }
+
+  const existing = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
+  let user;
+
+  if (existing.rows.length > 0) {
+    if (existing.rows[0].role !== 'customer') {
+      return sendError(res, 409, 'This user is already a staff member');
+    }
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [role, existing.rows[0].id]
+    );
+    user = result.rows[0];
+  } else {
+    const passwordHash = await bcrypt.hash(password !== undefined ? password : crypto.randomBytes(32).toString('hex'), 10);
+    try {
+      const result = await pool.query(`
+        INSERT INTO users (email, password_hash, first_name, last_name, role)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [email, passwordHash, firstName || null, lastName || null, role]);
+      user = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        return sendError(res, 409, 'An account with this email already exists');
+      }
+      throw error;
+    }
+
+    if (password === undefined) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (err) {
+        console.error('Error sending staff invitation email:', err);
+      }
+    }
+  }
+
+  console.log(`👥 ${user.email} added as ${role} by user:`, req.user.userId);
+
+  res.status(201).json({
+    message: 'Staff member added successfully',
+    staff: formatStaffMember(user)
+  });
+}));
+
+app.put('/api/admin/staff/:id', authenticateToken, requirePermission('staff:manage'), validate({
+  params: STAFF_PARAMS,
+  body: { role: STAFF_ROLE_RULE }
+}), asyncHandler(async (req, res) => {
+  const staffMember = await loadStaffMemberForChange(req, res);
+  if (!staffMember) return;
+
+  const roleError = await checkAssignableRole(req, req.body.role);
+  if (roleError) {
+    return sendError(res, roleError.status, roleError.error);
+  }
+
+  const result = await pool.query(
+    'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [req.body.role, staffMember.id]
+  );
+
+  console.log(`👥 ${staffMember.email} moved from ${staffMember.role} to ${req.body.role} by user:`, req.user.userId);
+
+  res.json({
+    message: 'Staff role updated successfully',
+    staff: formatStaffMember(result.rows[0])
+  });
+}));
+
+// Takes away staff access; the account stays as an ordinary customer and is signed out everywhere
+app.delete('/api/admin/staff/:id', authenticateToken, requirePermission('staff:manage'), validate({ params: STAFF_PARAMS }), asyncHandler(async (req, res) => {
+  const staffMember = await loadStaffMemberForChange(req, res);
+  if (!staffMember) return;
+
+  await pool.query(
+    "UPDATE users SET role = 'customer', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [staffMember.id]
+  );
+  await revokeUserSessions(staffMember.id);
+
+  console.log(`👥 Staff access removed from ${staffMember.email} by user:`, req.user.userId);
+  res.json({ message: 'Staff access removed successfully' });
+}));
+
+// ADMIN ROLES ENDPOINTS
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+const ROLE_ID_MESSAGE = 'id must be 2-20 lowercase letters, digits or underscores, starting with a letter';
+
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  builtIn: DEFAULT_ROLES.some(defaultRole => defaultRole.id === role.id),
+  locked: LOCKED_ROLES.includes(role.id),
+  ...(role.staff_count !== undefined ? { staffCount: parseInt(role.staff_count) } : {})
+});
+
+const checkKnownPermissions = (permissions) => {
+  const unknown = findUnknownPermissions(permissions);
+  return unknown.length > 0 ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+// Admin role input; with partial set nothing is required, for updates that only send what changes
+const roleBody = ({ partial = false } = {}) => ({
+  name: v.string({ required: !partial, trim: true, maxLength: 100 }),
+  description: v.string({ nullable: true }),
+  permissions: v.array(v.string(), { required: !partial, check: checkKnownPermissions })
+});
+
+// The columns a validated role body sets, leaving out fields that weren't sent
+const roleValues = (body) => {
+  const values = {};
+  for (const column of ['name', 'description', 'permissions']) {
+    if (body[column] !== undefined) {
+      values[column] = column === 'permissions' ? [...new Set(body.permissions)] : body[column];
+    }
+  }
+  return values;
+};
+
+app.get('/api/admin/roles', authenticateToken, requirePermission('roles:manage', 'staff:manage'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.id) AS staff_count
+    FROM roles r
+    WHERE r.id <> 'customer'
+    ORDER BY r.name
+  `);
+
+  res.json({
+    roles: result.rows.map(formatRole),
+    permissions: Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description }))
+  });
+}));
+
+app.post('/api/admin/roles', authenticateToken, requirePermission('roles:manage'), validate({
+  body: {
+    ...roleBody(),
+    id: v.string({ pattern: ROLE_ID_PATTERN, patternMessage: ROLE_ID_MESSAGE })
+  }
+}), asyncHandler(async (req, res) => {
+  const values = roleValues(req.body);
+
+  // Without an id one is made from the name, which then has to fit the pattern too
+  const id = req.body.id || slugify(values.name).replace(/-/g, '_').slice(0, 20);
+  if (!ROLE_ID_PATTERN.test(id)) {
+    return sendValidationError(res, ROLE_ID_MESSAGE, { field: 'id' });
+  }
+
+  if (!canGrant(req.permissions, values.permissions)) {
+    return sendError(res, 403, 'You cannot create a role with more access than your own');
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO roles (id, name, description, permissions)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [id, values.name, values.description ?? null, values.permissions]);
+
+    clearRoleCache();
+    console.log('✅ Role created successfully:', id);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendError(res, 409, 'A role with this id already exists');
+    }
+    throw error;
+  }
+}));
+
+app.put('/api/admin/roles/:id', authenticateToken, requirePermission('roles:manage'), validate({
+  body: roleBody({ partial: true })
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (LOCKED_ROLES.includes(id)) {
+    return sendError(res, 400, `The ${id} role cannot be changed`);
+  }
+
+  const existing = await pool.query('SELECT * FROM roles WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    return sendError(res, 404, 'Role not found');
+  }
+
+  const values = roleValues(req.body);
+  const columns = Object.keys(values);
+  if (columns.length === 0) {
+    return sendValidationError(res, 'No role fields to update');
+  }
+
+  if (!canGrant(req.permissions, [...existing.rows[0].permissions, ...(values.permissions || [])])) {
+    return sendError(res, 403, 'You cannot change a role with more access than your own');
+  }
+
+  const updates = columns.map((column, index) => `${column} = $${index + 1}`);
+  const params = [...columns.map(column => values[column]), id];
+
+  const result = await pool.query(`
+    UPDATE roles SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${params.length}
+    RETURNING *
+  `, params);
+
+  clearRoleCache();
+  console.log('✅ Role updated successfully:', id);
+
+  res.json({
+    message: 'Role updated successfully',
+    role: formatRole(result.rows[0])
+  });
+}));
+
+app.delete('/api/admin/roles/:id', authenticateToken, requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (DEFAULT_ROLES.some(role => role.id === id)) {
+    return sendError(res, 400, 'Built-in roles cannot be deleted');
+  }
+
+  const inUse = await pool.query('SELECT COUNT(*) AS count FROM users WHERE role = $1', [id]);
+  const staffCount = parseInt(inUse.rows[0].count);
+  if (staffCount > 0) {
+    return sendError(res, 409, `Role is assigned to ${staffCount} staff members; move them to another role first`, {
+      code: 'role_in_use',
+      staffCount
+    });
+  }
+
+  const result = await pool.query('DELETE FROM roles WHERE id = $1 RETURNING id', [id]);
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Role not found');
+  }
+
+  clearRoleCache();
+  console.log('✅ Role deleted successfully:', id);
+  res.json({ message: 'Role deleted successfully' });
+}));
+
+// ADMIN UPLOADS ENDPOINTS
+// Scans storage against the database. Files newer than minAgeMinutes are never treated as orphans
+const UPLOAD_SCAN_QUERY = { minAgeMinutes: v.integer({ min: 0, default: uploadGc.DEFAULT_MIN_AGE_MINUTES }) };
+
+// Non-upload URLs like /images/placeholder.jpg are served by express.static('.')
+const scanUploadStorage = ({ minAgeMinutes }) =>
+  uploadGc.scanUploads(pool, getStorage(), { staticRoot: path.resolve('.'), minAgeMinutes });
+
+app.get('/api/admin/uploads/orphans', authenticateToken, requirePermission('uploads:read'), validate({ query: UPLOAD_SCAN_QUERY }), asyncHandler(async (req, res) => {
+  res.json(await scanUploadStorage(req.query));
+}));
+
+app.delete('/api/admin/uploads/orphans', authenticateToken, requirePermission('uploads:delete'), validate({ query: UPLOAD_SCAN_QUERY }), asyncHandler(async (req, res) => {
+  const { orphans, missing, summary } = await scanUploadStorage(req.query);
+  const result = await uploadGc.deleteOrphans(getStorage(), orphans);
+
+  console.log(`🧹 Deleted ${result.deletedFiles} orphaned uploads, reclaimed ${result.reclaimedBytes} bytes`);
+
+  res.json({
+    message: `${result.deletedFiles} orphaned files deleted`,
+    ...result,
+    missing,
+    summary
+  });
+}));
+
+// ADMIN CATEGORIES ENDPOINTS
+app.get('/api/admin/categories', authenticateToken, requirePermission('categories:read'), validate({
+  query: { tree: v.boolean() }
+}), asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT c.*, (SELECT COUNT(*) FROM product_categories pc WHERE pc.category_id = c.id) AS product_count
+    FROM categories c
+    ORDER BY c.sort_order, c.name
+  `);
+
+  if (req.query.tree) {
+    return res.json(buildCategoryTree(result.rows));
+  }
+
+  res.json(result.rows.map(formatCategory));
+}));
+
+app.post('/api/admin/categories', authenticateToken, requirePermission('categories:create'), upload.single('image'), validate({
+  body: {
+    id: v.string({ trim: true, maxLength: 50 }),
+    name: v.string({ required: true, trim: true, maxLength: 100 }),
+    description: v.string(),
+    parentId: v.string({ maxLength: 50 }),
+    sortOrder: v.integer({ default: 0 }),
+    active: v.boolean({ default: true })
+  }
+}, { onInvalid: discardStagedUploads }), asyncHandler(async (req, res) => {
+  const { name, description, parentId, sortOrder, active } = req.body;
+  const id = req.body.id || slugify(name);
+
+  const fail = (status, error) => {
+    if (req.file) {
+      fs.unlink(req.file.path, err => { if (err) console.error('Error deleting file:', err); });
+    }
+    return sendError(res, status, error);
+  };
+
+  // Also catches names that slugify to nothing
+  if (!CATEGORY_ID_PATTERN.test(id)) {
+    return fail(400, 'Category ID must be lowercase letters, numbers and dashes (max 50)');
+  }
+
+  if (parentId) {
+    const parentResult = await pool.query('SELECT id FROM categories WHERE id = $1', [parentId]);
+    if (parentResult.rows.length === 0) {
+      return fail(400, 'Parent category not found');
+    }
+  }
+
+  const imageUrl = req.file ? await storeUploadedFile('categories', req.file) : null;
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO categories (id, name, description, image_url, sort_order, active, parent_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [id, name, description || null, imageUrl, sortOrder, active, parentId || null]);
+
+    if (req.file) {
+      removeStagedUploads([req.file]);
+    }
+
+    console.log('✅ Category created successfully:', id);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: formatCategory(result.rows[0])
+    });
+  } catch (error) {
+    deleteUploadedFile(imageUrl);
+    if (error.code === '23505') {
+      return fail(400, 'Category ID already exists');
+    }
+    console.error('💥 Error creating category:', error);
+    fail(500, 'Failed to create category');
+  }
+}));
+
+// An empty parentId moves the category to the top level
+app.put('/api/admin/categories/:id', authenticateToken, requirePermission('categories:update'), upload.single('image'), validate({
+  body: {
+    name: v.string({ trim: true, maxLength: 100 }),
+    description: v.string({ nullable: true }),
+    parentId: v.string({ nullable: true, maxLength: 50 }),
+    sortOrder: v.integer(),
+    active: v.boolean(),
+    removeImage: v.boolean()
+  }
+}, { onInvalid: discardStagedUploads }), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description } = req.body;
+
+  const fail = (status, error) => {
+    if (req.file) {
+      fs.unlink(req.file.path, err => { if (err) console.error('Error deleting file:', err); });
+    }
+    return sendError(res, status, error);
+  };
+
+  const existingResult = await pool.query('SELECT * FROM categories WHERE id = $1', [id]);
+  if (existingResult.rows.length === 0) {
+    return fail(404, 'Category not found');
+  }
+  const existing = existingResult.rows[0];
+
+  const sortOrder = req.body.sortOrder ?? existing.sort_order;
+
+  let parentId = existing.parent_id;
+  if (req.body.parentId !== undefined) {
+    parentId = req.body.parentId || null;
+    if (parentId === id) {
+      return fail(400, 'A category cannot be its own parent');
+    }
+    if (parentId) {
+      const parentResult = await pool.query('SELECT id FROM categories WHERE id = $1', [parentId]);
+      if (parentResult.rows.length === 0) {
+        return fail(400, 'Parent category not found');
+      }
+      if (await wouldCreateCategoryCycle(pool, id, parentId)) {
+        return fail(400, 'A category cannot be moved under one of its own subcategories');
+      }
+    }
+  }
+
+  let imageUrl = existing.image_url;
+  if (req.file) {
+    imageUrl = await storeUploadedFile('categories', req.file);
+    removeStagedUploads([req.file]);
+  } else if (req.body.removeImage) {
+    imageUrl = null;
+  }
+
+  const result = await pool.query(`
+    UPDATE categories SET
+      name = $1, description = $2, image_url = $3, sort_order = $4,
+      active = $5, parent_id = $6, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7
+    RETURNING *
+  `, [
+    name ?? existing.name,
+    description !== undefined ? description : existing.description,
+    imageUrl,
+    sortOrder,
+    req.body.active ?? existing.active,
+    parentId,
+    id
+  ]);
+
+  if (imageUrl !== existing.image_url) {
+    deleteUploadedFile(existing.image_url);
+  }
+
+  console.log('✅ Category updated successfully:', id);
+
+  res.json({
+    message: 'Category updated successfully',
+    category: formatCategory(result.rows[0])
+  });
+}));
+
+// Products must be moved to another category (reassignTo) or explicitly unlinked (detach).
+// Either can be sent in the query string or the body
+const CATEGORY_DELETE_OPTIONS = { reassignTo: v.string({ maxLength: 50 }), detach: v.boolean() };
+
+app.delete('/api/admin/categories/:id', authenticateToken, requirePermission('categories:delete'), validate({
+  query: CATEGORY_DELETE_OPTIONS,
+  body: CATEGORY_DELETE_OPTIONS
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const options = { ...req.query, ...(req.body || {}) };
+  const reassignTo = options.reassignTo || null;
+  const detach = options.detach === true;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [id]);
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Category not found');
+    }
+    const existing = existingResult.rows[0];
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) AS total FROM product_categories WHERE category_id = $1',
+      [id]
+    );
+    const productCount = parseInt(countResult.rows[0].total);
+
+    if (productCount > 0 && !reassignTo && !detach) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Category has ${productCount} products. Pass reassignTo with another category ID, or detach=true to unlink them.`, {
+        code: 'category_in_use',
+        product_count: productCount
+      });
+    }
+
+    if (reassignTo) {
+      if (reassignTo === id) {
+        await client.query('ROLLBACK');
+        return sendError(res, 400, 'Cannot reassign products to the category being deleted');
+      }
+      const targetResult = await client.query('SELECT id FROM categories WHERE id = $1', [reassignTo]);
+      if (targetResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendError(res, 400, 'Target category not found');
+      }
+      await client.query(`
+        INSERT INTO product_categories (product_id, category_id)
+        SELECT product_id, $2 FROM product_categories WHERE category_id = $1
+        ON CONFLICT DO NOTHING
+      `, [id, reassignTo]);
+    }
+
+    // Subcategories move up a level instead of disappearing with their parent
+    await client.query(
+      'UPDATE categories SET parent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE parent_id = $2',
+      [existing.parent_id, id]
+    );
+
+    // Cascades to the old product_categories links
+    await client.query('DELETE FROM categories WHERE id = $1', [id]);
+
+    await client.query('COMMIT');
+
+    deleteUploadedFile(existing.image_url);
+
+    console.log('✅ Category deleted successfully:', id);
+    res.json({
+      message: 'Category deleted successfully',
+      products_reassigned: reassignTo ? productCount : 0,
+      products_detached: reassignTo ? 0 : productCount
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error deleting category:', error);
+    sendError(res, 500, 'Failed to delete category');
+  } finally {
+    client.release();
+  }
+}));
+
+// ADMIN REVIEWS ENDPOINTS
+app.get('/api/admin/reviews', authenticateToken, requirePermission('reviews:read'), validate({
+  query: {
+    ...PAGINATION_QUERY,
+    status: v.enum(['pending', 'approved', 'rejected', 'all'], { default: 'pending' }),
+    product_id: v.string({ maxLength: 50 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { status, product_id } = req.query;
+  const { limit, offset } = parsePagination(req.query);
+
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (status === 'pending') {
+    where += ' AND r.approved = false AND r.moderated_at IS NULL';
+  } else if (status === 'approved') {
+    where += ' AND r.approved = true';
+  } else if (status === 'rejected') {
+    where += ' AND r.approved = false AND r.moderated_at IS NOT NULL';
+  }
+
+  if (product_id) {
+    params.push(product_id);
+    where += ` AND r.product_id = $${params.length}`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM product_reviews r ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  // Oldest first so the queue is worked in submission order
+  const result = await pool.query(`
+    SELECT r.*, u.email, u.first_name, u.last_name, p.name AS product_name
+    FROM product_reviews r
+    LEFT JOIN users u ON u.id = r.user_id
+    LEFT JOIN products p ON p.id = r.product_id
+    ${where}
+    ORDER BY r.created_at ASC, r.id ASC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  res.json({
+    reviews: result.rows.map(review => ({
+      ...formatReview(review),
+      productName: review.product_name,
+      reviewerEmail: review.email,
+      status: reviewModerationStatus(review),
+      moderatedAt: review.moderated_at
+    })),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+const moderateReview = (approved) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE product_reviews SET
+        approved = $1,
+        moderated_at = CURRENT_TIMESTAMP,
+        moderated_by = $2,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [approved, req.user.userId, id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Review not found');
+    }
+
+    const review = result.rows[0];
+
+    // Rejecting a previously approved review has to pull it out of the average too
+    await recalculateProductRating(client, review.product_id);
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Review ${id} ${approved ? 'approved' : 'rejected'}`);
+
+    res.json({
+      message: `Review ${approved ? 'approved' : 'rejected'} successfully`,
+      review: {
+        ...formatReview(review),
+        status: reviewModerationStatus(review)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error moderating review:', error);
+    sendError(res, 500, 'Failed to moderate review');
+  } finally {
+    client.release();
+  }
+});
+
+const REVIEW_PARAMS = { id: v.id() };
+
+app.post('/api/admin/reviews/:id/approve', authenticateToken, requirePermission('reviews:moderate'), validate({ params: REVIEW_PARAMS }), moderateReview(true));
+app.post('/api/admin/reviews/:id/reject', authenticateToken, requirePermission('reviews:moderate'), validate({ params: REVIEW_PARAMS }), moderateReview(false));
+
+// ADMIN COUPONS ENDPOINTS
+const COUPON_PARAMS = { id: v.id() };
+
+app.get('/api/admin/coupons', authenticateToken, requirePermission('coupons:read'), validate({
+  query: {
+    ...PAGINATION_QUERY,
+    search: v.string({ maxLength: 50 }),
+    active: v.boolean()
+  }
+}), asyncHandler(async (req, res) => {
+  const { search, active } = req.query;
+  const { limit, offset } = parsePagination(req.query);
+
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    where += ` AND code ILIKE $${params.length}`;
+  }
+
+  if (active !== undefined) {
+    params.push(active);
+    where += ` AND active = $${params.length}`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM coupons ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await pool.query(`
+    SELECT * FROM coupons ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  res.json({
+    coupons: result.rows.map(formatCoupon),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+app.get('/api/admin/coupons/:id', authenticateToken, requirePermission('coupons:read'), validate({ params: COUPON_PARAMS }), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM coupons WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Coupon not found');
+  }
+
+  res.json(formatCoupon(result.rows[0]));
+}));
+
+app.post('/api/admin/coupons', authenticateToken, requirePermission('coupons:create'), validate({
+  body: couponBody()
+}), asyncHandler(async (req, res) => {
+  const values = couponValues(req.body);
+
+  if (values.type === 'percentage' && values.value > 100) {
+    return sendValidationError(res, 'Percentage coupons cannot exceed 100', { field: 'value' });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO coupons (code, type, value, minimum_amount, maximum_discount, usage_limit, expires_at, active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      values.code, values.type, values.value,
+      values.minimum_amount ?? null, values.maximum_discount ?? null,
+      values.usage_limit ?? null, values.expires_at ?? null,
+      values.active ?? true
+    ]);
+
+    console.log('✅ Coupon created successfully:', values.code);
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon: formatCoupon(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendError(res, 400, 'Coupon code already exists');
+    }
+    throw error;
+  }
+}));
+
+app.put('/api/admin/coupons/:id', authenticateToken, requirePermission('coupons:update'), validate({
+  params: COUPON_PARAMS,
+  body: couponBody({ partial: true })
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await pool.query('SELECT * FROM coupons WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    return sendError(res, 404, 'Coupon not found');
+  }
+
+  const values = couponValues(req.body);
+
+  const type = values.type ?? existing.rows[0].type;
+  const value = values.value ?? parseFloat(existing.rows[0].value);
+  if (type === 'percentage' && value > 100) {
+    return sendValidationError(res, 'Percentage coupons cannot exceed 100', { field: 'value' });
+  }
+
+  const columns = Object.keys(values);
+  if (columns.length === 0) {
+    return sendValidationError(res, 'No coupon fields to update');
+  }
+
+  const updates = columns.map((column, index) => `${column} = $${index + 1}`);
+  const params = [...columns.map(column => values[column]), id];
+
+  try {
+    const result = await pool.query(`
+      UPDATE coupons SET ${updates.join(', ')}
+      WHERE id = $${params.length}
+      RETURNING *
+    `, params);
+
+    console.log('✅ Coupon updated successfully:', id);
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon: formatCoupon(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendError(res, 400, 'Coupon code already exists');
+    }
+    throw error;
+  }
+}));
+
+app.delete('/api/admin/coupons/:id', authenticateToken, requirePermission('coupons:delete'), validate({ params: COUPON_PARAMS }), asyncHandler(async (req, res) => {
+  const result = await pool.query('DELETE FROM coupons WHERE id = $1 RETURNING code', [req.params.id]);
+  if (result.rows.length === 0) {
+    return sendError(res, 404, 'Coupon not found');
+  }
+
+  console.log('✅ Coupon deleted successfully:', result.rows[0].code);
+  res.json({ message: 'Coupon deleted successfully' });
+}));
+
+// CATALOG CSV HELPERS
+const CATALOG_CSV_FIELDS = [
+  'id', 'sku', 'name', 'description', 'price', 'old_price', 'quantity', 'low_stock_threshold',
+  'in_stock', 'allow_backorder', 'trending', 'best_seller', 'new_arrival', 'categories', 'image_urls'
+];
+const CATALOG_CSV_BOOLEAN_FIELDS = ['in_stock', 'allow_backorder', 'trending', 'best_seller', 'new_arrival'];
+const CATALOG_CSV_LIST_SEPARATOR = '|';
+const CATALOG_CSV_BATCH_SIZE = 500;
+const MONEY_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+// Shared WHERE clause for the admin product list and the CSV export
+const buildAdminProductFilters = (query, listing) => {
+  const { search, status } = query;
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(p.name ILIKE $${params.length} OR p.sku ILIKE $${params.length})`);
+  }
+
+  appendCatalogFilters(listing, conditions, params);
+
+  if (status === 'active') {
+    conditions.push('p.in_stock = true AND p.quantity > 0');
+  } else if (status === 'out-of-stock') {
+    conditions.push('p.quantity <= 0');
+  } else if (status === 'draft') {
+    conditions.push('p.in_stock = false');
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+const splitCsvList = (value) => String(value || '')
+  .split(CATALOG_CSV_LIST_SEPARATOR)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Returns undefined for a blank cell and null for something that isn't a boolean
+const parseCsvBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === '') return undefined;
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return null;
+};
+
+const parseCsvBuffer = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from(buffer)
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\ufeff/, '').trim().toLowerCase() }))
+    .on('data', row => rows.push(row))
+    .on('error', reject)
+    .on('end', () => resolve(rows));
+});
+
+/**
+ * Validate one import row. Blank cells leave the existing value alone on update, so an
+ * export can be trimmed down to just the columns being changed and imported back.
+ * Returns { values, errors } where values only holds the columns that were filled in.
+ */
+const parseCatalogCsvRow = (row, { isNew, categoryIds }) => {
+  const errors = [];
+  const values = {};
+  const cell = (key) => row[key] === undefined || row[key] === null ? '' : String(row[key]).trim();
+
+  values.sku = cell('sku');
+  if (!values.sku) {
+    errors.push('sku is required');
+  } else if (values.sku.length > 100) {
+    errors.push('sku must be at most 100 characters');
+  }
+
+  if (cell('name')) {
+    values.name = cell('name');
+    if (values.name.length > 255) errors.push('name must be at most 255 characters');
+  } else if (isNew) {
+    errors.push('name is required for new products');
+  }
+
+  if (cell('description')) {
+    values.description = cell('description');
+  }
+
+  for (const field of ['price', 'old_price']) {
+    if (!cell(field)) continue;
+    if (!MONEY_PATTERN.test(cell(field))) {
+      errors.push(`${field} must be a non-negative amount with at most 2 decimals`);
+    } else {
+      values[field] = parseFloat(cell(field));
+    }
+  }
+  if (isNew && values.price === undefined && !errors.some(e => e.startsWith('price'))) {
+    errors.push('price is required for new products');
+  }
+
+  for (const field of ['quantity', 'low_stock_threshold']) {
+    if (!cell(field)) continue;
+    if (!/^\d+$/.test(cell(field))) {
+      errors.push(`${field} must be a whole number of 0 or more`);
+    } else {
+      values[field] = parseInt(cell(field));
+    }
+  }
+
+  for (const field of CATALOG_CSV_BOOLEAN_FIELDS) {
+    const parsed = parseCsvBoolean(cell(field));
+    if (parsed === null) {
+      errors.push(`${field} must be true or false`);
+    } else if (parsed !== undefined) {
+      values[field] = parsed;
+    }
+  }
+
+  if (cell('categories')) {
+    values.categories = [...new Set(splitCsvList(cell('categories')))];
+    const unknown = values.categories.filter(id => !categoryIds.has(id));
+    if (unknown.length > 0) {
+      errors.push(`Unknown categories: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (cell('image_urls')) {
+    values.image_urls = splitCsvList(cell('image_urls'));
+    const invalid = values.image_urls.filter(url => !/^(\/|https?:\/\/)/.test(url) || url.length > 500);
+    if (invalid.length > 0) {
+      errors.push(`Invalid image URLs: ${invalid.join(', ')}`);
+    }
+  }
+
+  return { values, errors };
+};
+
+async function replaceProductCategories(client, productId, categoryIds) {
+  await client.query('DELETE FROM product_categories WHERE product_id = $1', [productId]);
+  for (const categoryId of categoryIds) {
+    await client.query(
+      'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
+      [productId, categoryId]
+    );
+  }
+}
+
+// The first URL becomes the primary image, the rest the gallery
+async function replaceProductImageUrls(client, productId, imageUrls) {
+  await client.query('DELETE FROM product_images WHERE product_id = $1', [productId]);
+  for (let i = 0; i < imageUrls.length; i++) {
+    await client.query(
+      'INSERT INTO product_images (product_id, image_url, image_type, sort_order) VALUES ($1, $2, $3, $4)',
+      [productId, imageUrls[i], i === 0 ? 'primary' : 'gallery', i]
+    );
+  }
+}
+
+// Resolves to the low-stock alert a stock change raised, if any
+async function importCatalogRow(client, values, existing, changedBy) {
+  const columns = [
+    'name', 'description', 'price', 'old_price', 'low_stock_threshold',
+    ...CATALOG_CSV_BOOLEAN_FIELDS
+  ].filter(column => values[column] !== undefined);
+  const stockChange = { type: 'adjustment', reason: 'CSV import', changedBy };
+  let lowStockAlert = null;
+
+  let productId;
+
+  if (existing) {
+    productId = existing.id;
+    if (columns.length > 0) {
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+      await client.query(
+        `UPDATE products SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+        [...columns.map(column => values[column]), productId]
+      );
+    }
+    if (values.quantity !== undefined) {
+      ({ lowStockAlert } = await setStock(client, { productId, quantity: values.quantity, ...stockChange }));
+    }
+  } else {
+    productId = `product-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    const quantity = values.quantity ?? 0;
+    const insertColumns = ['id', 'sku', 'quantity', ...columns];
+    const placeholders = insertColumns.map((column, index) => `$${index + 1}`);
+    await client.query(
+      `INSERT INTO products (${insertColumns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      [productId, values.sku, quantity, ...columns.map(column => values[column])]
+    );
+    if (quantity !== 0) {
+      await recordStockMovement(client, { productId, change: quantity, quantityAfter: quantity, ...stockChange });
+    }
+  }
+
+  if (values.categories) {
+    await replaceProductCategories(client, productId, values.categories);
+  }
+
+  if (values.image_urls) {
+    await replaceProductImageUrls(client, productId, values.image_urls);
+  } else if (!existing) {
+    await replaceProductImageUrls(client, productId, ['/images/placeholder.jpg']);
+  }
+
+  return lowStockAlert;
+}
+
+// Resolves once the stream can take more data, or once it has been torn down
+const waitForDrain = (stream) => new Promise(resolve => {
+  stream.once('drain', resolve);
+  stream.once('close', resolve);
+});
+
+const ADMIN_PRODUCT_LISTING_QUERY = {
+  ...catalogListingQuery(),
+  search: v.string({ maxLength: 200 }),
+  status: v.enum(['active', 'out-of-stock', 'draft'])
+};
+
+// ADMIN PRODUCT IMPORT/EXPORT ENDPOINTS
+app.get('/api/admin/products/export', authenticateToken, requirePermission('products:export'), validate({
+  query: ADMIN_PRODUCT_LISTING_QUERY
+}), asyncHandler(async (req, res) => {
+  const listing = parseCatalogListing(req.query);
+  if (listing.error) {
+    return sendValidationError(res, listing.error, { field: listing.field, location: 'query' });
+  }
+
+  const { where, params } = buildAdminProductFilters(req.query, listing);
+  const sort = PRODUCT_SORTS[listing.sort];
+  const fileName = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  const csvStream = new CsvTransform({ fields: CATALOG_CSV_FIELDS }, { objectMode: true });
+  csvStream.pipe(res);
+  res.on('close', () => csvStream.destroy());
+
+  let exported = 0;
+
+  try {
+    for (let offset = 0; !csvStream.destroyed; offset += CATALOG_CSV_BATCH_SIZE) {
+      const batch = await pool.query(
+        `SELECT p.* FROM products p WHERE ${where}
+         ORDER BY ${sort.key} ${sort.direction}, p.id ${sort.direction}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, CATALOG_CSV_BATCH_SIZE, offset]
+      );
+      if (batch.rows.length === 0) break;
+
+      const productIds = batch.rows.map(product => product.id);
+      const [categoriesResult, imagesResult] = await Promise.all([
+        pool.query(
+          'SELECT product_id, category_id FROM product_categories WHERE product_id = ANY($1) ORDER BY category_id',
+          [productIds]
+        ),
+        pool.query(
+          `SELECT product_id, image_url FROM product_images WHERE product_id = ANY($1)
+           ORDER BY (image_type = 'primary') DESC, sort_order, id`,
+          [productIds]
+        )
+      ]);
+
+      const groupBy = (rows, key, value) => rows.reduce((groups, row) => {
+        (groups[row[key]] = groups[row[key]] || []).push(row[value]);
+        return groups;
+      }, {});
+      const categoriesByProduct = groupBy(categoriesResult.rows, 'product_id', 'category_id');
+      const imagesByProduct = groupBy(imagesResult.rows, 'product_id', 'image_url');
+
+      for (const product of batch.rows) {
+        const line = {
+          id: product.id,
+          sku: product.sku,
+          name: product.name,
+          description: product.description,
+          price: product.price,
+          old_price: product.old_price,
+          quantity: product.quantity,
+          low_stock_threshold: product.low_stock_threshold,
+          in_stock: product.in_stock,
+          allow_backorder: product.allow_backorder,
+          trending: product.trending,
+          best_seller: product.best_seller,
+          new_arrival: product.new_arrival,
+          categories: (categoriesByProduct[product.id] || []).join(CATALOG_CSV_LIST_SEPARATOR),
+          image_urls: (imagesByProduct[product.id] || []).join(CATALOG_CSV_LIST_SEPARATOR)
+        };
+
+        if (!csvStream.write(line)) {
+          await waitForDrain(csvStream);
+        }
+        exported++;
+      }
+
+      if (batch.rows.length < CATALOG_CSV_BATCH_SIZE) break;
+    }
+
+    csvStream.end();
+    console.log(`✅ Exported ${exported} products to CSV`);
+  } catch (error) {
+    // Headers are already out, so the only way to signal failure is to cut the download short
+    console.error('💥 Error exporting products:', error);
+    csvStream.destroy();
+    res.destroy(error);
+  }
+}));
+
+// The CSV is held in memory, so a rejected request leaves nothing staged behind
+app.post('/api/admin/products/import', authenticateToken, requirePermission('products:import'), csvUpload.single('file'), validate({
+  query: { dryRun: v.boolean() },
+  body: { dryRun: v.boolean() }
+}), asyncHandler(async (req, res) => {
+  const dryRun = Boolean(req.query.dryRun || req.body.dryRun);
+
+  if (!req.file) {
+    return sendError(res, 400, 'A CSV file is required (form field "file")');
+  }
+
+  let rows;
+  try {
+    rows = await parseCsvBuffer(req.file.buffer);
+  } catch (error) {
+    return sendError(res, 400, 'Could not parse CSV: ' + error.message);
+  }
+
+  if (rows.length === 0) {
+    return sendError(res, 400, 'CSV file has no data rows');
+  }
+  if (!Object.prototype.hasOwnProperty.call(rows[0], 'sku')) {
+    return sendError(res, 400, 'CSV file must have a sku column');
+  }
+
+  const summary = { total: rows.length, created: 0, updated: 0, skipped: 0 };
+  const errors = [];
+  const lowStockAlerts = [];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const categoriesResult = await client.query('SELECT id FROM categories');
+    const categoryIds = new Set(categoriesResult.rows.map(row => row.id));
+
+    const skus = [...new Set(rows.map(row => String(row.sku || '').trim()).filter(Boolean))];
+    const existingResult = await client.query(
+      'SELECT id, sku FROM products WHERE sku = ANY($1) ORDER BY id FOR UPDATE',
+      [skus]
+    );
+    const existingBySku = new Map(existingResult.rows.map(product => [product.sku, product]));
+    const seenSkus = new Map();
+
+    for (let index = 0; index < rows.length; index++) {
+      // Row 1 is the header, so data starts on row 2 like in a spreadsheet
+      const rowNumber = index + 2;
+      const sku = String(rows[index].sku || '').trim();
+      const existing = existingBySku.get(sku);
+      const { values, errors: rowErrors } = parseCatalogCsvRow(rows[index], { isNew: !existing, categoryIds });
+
+      if (sku && seenSkus.has(sku)) {
+        rowErrors.push(`Duplicate sku, already used on row ${seenSkus.get(sku)}`);
+      } else if (sku) {
+        seenSkus.set(sku, rowNumber);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, sku: sku || null, errors: rowErrors });
+        summary.skipped++;
+        continue;
+      }
+
+      // A failing statement would otherwise abort the whole transaction
+      await client.query('SAVEPOINT import_row');
+      try {
+        const lowStockAlert = await importCatalogRow(client, values, existing, req.user.userId);
+        await client.query('RELEASE SAVEPOINT import_row');
+        summary[existing ? 'updated' : 'created']++;
+        if (lowStockAlert) {
+          lowStockAlerts.push(lowStockAlert);
+        }
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        console.error(`💥 Error importing row ${rowNumber}:`, error);
+        errors.push({ row: rowNumber, sku, errors: ['Could not save this row'] });
+        summary.skipped++;
+      }
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    if (!dryRun) {
+      notifyLowStock(lowStockAlerts);
+    }
+
+    console.log(`✅ Product import ${dryRun ? 'dry run ' : ''}finished:`, summary);
+
+    res.json({
+      message: dryRun ? 'Dry run complete, no changes were saved' : 'Import complete',
+      dryRun,
+      summary,
+      errors
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error importing products:', error);
+    sendError(res, 500, 'Failed to import products');
+  } finally {
+    client.release();
+  }
+}));
+
+// ADMIN PRODUCTS ENDPOINTS
+app.get('/api/admin/products', authenticateToken, requirePermission('products:read'), validate({
+  query: ADMIN_PRODUCT_LISTING_QUERY
+}), asyncHandler(async (req, res) => {
+  console.log('📦 Admin products endpoint hit');
+  
+  const listing = parseCatalogListing(req.query);
+  if (listing.error) {
+    return sendValidationError(res, listing.error, { field: listing.field, location: 'query' });
+  }
+
+  const filters = buildAdminProductFilters(req.query, listing);
+
+  const [page, countResult] = await Promise.all([
+    queryProductPage({ ...filters, listing, sort: PRODUCT_SORTS[listing.sort] }),
+    pool.query(`SELECT COUNT(*) as total FROM products p WHERE ${filters.where}`, filters.params)
+  ]);
+  const total = parseInt(countResult.rows[0].total);
+
+  // Categories, images and options for the whole page in one query each
+  const relations = await loadProductRelations(pool, page.rows.map(product => product.id));
+
+  const products = page.rows.map((product) => {
+    const { categories, images, variants, colors } = relations.get(product.id);
+
     return {
       id: product.id,
       name: product.name,
@@ -437,35 +5254,53 @@ app.get('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(asy
         primary: images.find(img => img.image_type === 'primary')?.image_url || '',
         gallery: images.filter(img => img.image_url).map(img => img.image_url) || []
       },
+      variants: variants.map(variant => formatVariant(variant, product)),
+      colors: colors.map(formatColor),
       status: product.quantity <= 0 ? 'out-of-stock' : (product.in_stock ? 'active' : 'draft')
     };
-  }));
-
-  // Apply category filter if specified
-  let filteredProducts = products;
-  if (category) {
-    filteredProducts = products.filter(p => p.categories.includes(category));
-  }
+  });
 
   res.json({
-    products: filteredProducts,
+    products,
     pagination: {
       total,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      hasMore: (parseInt(offset) + parseInt(limit)) < total
+      limit: listing.limit,
+      offset: listing.offset,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
     }
   });
 }));
 
+// Multipart product fields; variants and colors are JSON strings checked by parseProductOptionsInput
+const productBody = ({ partial = false } = {}) => ({
+  name: v.string({ required: !partial, trim: true, maxLength: 255 }),
+  sku: v.string({ required: !partial, trim: true, maxLength: 100 }),
+  price: v.number({ required: !partial, min: 0 }),
+  oldPrice: v.number({ nullable: true, min: 0 }),
+  description: v.string(),
+  quantity: v.integer({ required: !partial, min: 0 }),
+  lowStockThreshold: v.integer({ min: 0 }),
+  inStock: v.boolean(),
+  'categories[]': v.array(v.string({ trim: true, maxLength: 50 }), { single: true }),
+  variants: v.any(),
+  colors: v.any()
+});
+
 // Create product with image upload support
-app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('images', 8), asyncHandler(async (req, res) => {
+app.post('/api/admin/products', authenticateToken, requirePermission('products:create'), upload.array('images', 8), validate({
+  body: productBody()
+}, { onInvalid: discardStagedUploads }), asyncHandler(async (req, res) => {
   console.log('➕ Create product endpoint hit:', req.body);
   console.log('📸 Uploaded files:', req.files);
   
   const client = await pool.connect();
+  let processedImages = [];
   
   try {
+    // Resize before opening the transaction so no locks are held while images encode
+    processedImages = await processUploadedImages(req.files);
+
     await client.query('BEGIN');
     
     const {
@@ -473,18 +5308,10 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('i
       quantity, inStock, lowStockThreshold
     } = req.body;
     
-    // Handle categories array from FormData
-    let categories = [];
-    if (req.body['categories[]']) {
-      categories = Array.isArray(req.body['categories[]']) 
-        ? req.body['categories[]'] 
-        : [req.body['categories[]']];
-    }
+    // Categories arrive as categories[] from FormData
+    const categories = (req.body['categories[]'] || []).filter(Boolean);
 
-    // Validate required fields
-    if (!name || !sku || price === undefined || quantity === undefined) {
-      throw new Error('Missing required fields: name, sku, price, and quantity are required');
-    }
+    const { variants, colors } = parseProductOptionsInput(req.body);
 
     // Generate product ID
     const productId = 'product-' + Date.now();
@@ -498,37 +5325,34 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('i
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING *
     `, [
-      productId, name, sku, parseFloat(price), 
-      oldPrice ? parseFloat(oldPrice) : null,
-      description || '', parseInt(quantity || 0), 
-      inStock === 'true' || inStock === true, 
-      parseInt(lowStockThreshold || 5),
+      productId, name, sku, price,
+      oldPrice || null,
+      description || '', quantity,
+      inStock === true,
+      lowStockThreshold ?? 5,
       false, false, false // Default trending, best_seller, new_arrival to false
     ]);
 
+    if (quantity !== 0) {
+      await recordStockMovement(client, {
+        productId, type: 'adjustment', change: quantity, quantityAfter: quantity,
+        reason: 'Initial stock', changedBy: req.user.userId
+      });
+    }
+
     // Insert categories
-    if (categories.length > 0) {
-      for (const categoryId of categories) {
-        if (categoryId && categoryId.trim()) {
-          await client.query(
-            'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
-            [productId, categoryId.trim()]
-          );
-        }
-      }
+    for (const categoryId of categories) {
+      await client.query(
+        'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
+        [productId, categoryId]
+      );
     }
 
     // Handle uploaded images
-    if (req.files && req.files.length > 0) {
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const imageUrl = `/uploads/products/${file.filename}`;
+    if (processedImages.length > 0) {
+      for (let i = 0; i < processedImages.length; i++) {
         const imageType = i === 0 ? 'primary' : 'gallery';
-        
-        await client.query(
-          'INSERT INTO product_images (product_id, image_url, image_type, sort_order) VALUES ($1, $2, $3, $4)',
-          [productId, imageUrl, imageType, i]
-        );
+        await insertProductImage(client, productId, processedImages[i], imageType, i);
       }
     } else {
       // Insert default placeholder if no images uploaded
@@ -538,13 +5362,23 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('i
       );
     }
 
+    if (variants) {
+      await saveProductVariants(client, productId, variants, req.user.userId);
+    }
+    if (colors) {
+      await saveProductColors(client, productId, colors);
+    }
+
+    const options = await loadProductOptions(client, productResult.rows[0]);
+
     await client.query('COMMIT');
+    removeStagedUploads(req.files);
 
     console.log('✅ Product created successfully:', productId);
 
     res.status(201).json({
       message: 'Product created successfully',
-      product: productResult.rows[0]
+      product: { ...productResult.rows[0], ...options }
     });
 
   } catch (error) {
@@ -556,13 +5390,16 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('i
         fs.unlink(file.path, err => { if (err) console.error('Error deleting file:', err); });
       });
     }
+    await discardProcessedImages(processedImages);
     
     console.error('💥 Error creating product:', error);
     
     if (error.code === '23505') {
-      res.status(400).json({ error: 'SKU already exists' });
+      sendError(res, 400, 'SKU already exists');
+    } else if (error.statusCode === 400) {
+      sendError(res, 400, error.message);
     } else {
-      res.status(500).json({ error: 'Failed to create product: ' + error.message });
+      sendError(res, 500, 'Failed to create product');
     }
   } finally {
     client.release();
@@ -570,13 +5407,19 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, upload.array('i
 }));
 
 // Update product with image upload support
-app.put('/api/admin/products/:id', authenticateToken, requireAdmin, upload.array('images', 8), asyncHandler(async (req, res) => {
+app.put('/api/admin/products/:id', authenticateToken, requirePermission('products:update'), upload.array('images', 8), validate({
+  body: productBody({ partial: true })
+}, { onInvalid: discardStagedUploads }), asyncHandler(async (req, res) => {
   console.log('✏️ Update product endpoint hit:', req.params.id);
   console.log('📸 Uploaded files:', req.files);
   
   const client = await pool.connect();
+  let processedImages = [];
   
   try {
+    // Resize before opening the transaction so no locks are held while images encode
+    processedImages = await processUploadedImages(req.files);
+
     await client.query('BEGIN');
     
     const { id } = req.params;
@@ -585,118 +5428,541 @@ app.put('/api/admin/products/:id', authenticateToken, requireAdmin, upload.array
       quantity, inStock, lowStockThreshold
     } = req.body;
     
-    // Handle categories array from FormData
-    let categories = [];
-    if (req.body['categories[]']) {
-      categories = Array.isArray(req.body['categories[]']) 
-        ? req.body['categories[]'] 
-        : [req.body['categories[]']];
-    }
+    // Categories arrive as categories[] from FormData
+    const categories = (req.body['categories[]'] || []).filter(Boolean);
 
-    // Check if product exists
+    // Check if product exists; the renditions are already in storage and must go again
     const existing = await client.query('SELECT id FROM products WHERE id = $1', [id]);
     if (existing.rows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Product not found' });
+      removeStagedUploads(req.files);
+      await discardProcessedImages(processedImages);
+      return sendError(res, 404, 'Product not found');
+    }
+
+    const { variants, colors } = parseProductOptionsInput(req.body);
+
+    // Update product
+    const result = await client.query(`
+      UPDATE products SET 
+        name = COALESCE($1, name), 
+        sku = COALESCE($2, sku), 
+        price = COALESCE($3, price), 
+        old_price = $4, 
+        description = COALESCE($5, description), 
+        in_stock = COALESCE($6, in_stock),
+        low_stock_threshold = COALESCE($7, low_stock_threshold),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8
+      RETURNING *
+    `, [
+      name ?? null, sku ?? null, price ?? null,
+      oldPrice ?? null,
+      description ?? null,
+      inStock ?? null,
+      lowStockThreshold ?? null, id
+    ]);
+
+    // Stock goes through the ledger, after the update so a new threshold already applies
+    const lowStockAlerts = [];
+    if (quantity !== undefined) {
+      const stock = await setStock(client, {
+        productId: id, quantity, type: 'adjustment', reason: 'Product edited', changedBy: req.user.userId
+      });
+      result.rows[0].quantity = stock.quantity;
+      if (stock.lowStockAlert) {
+        lowStockAlerts.push(stock.lowStockAlert);
+      }
+    }
+
+    // Update categories
+    await client.query('DELETE FROM product_categories WHERE product_id = $1', [id]);
+    for (const categoryId of categories) {
+      await client.query(
+        'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
+        [id, categoryId]
+      );
+    }
+
+    // Handle new uploaded images
+    let replacedImageUrls = [];
+    if (processedImages.length > 0) {
+      // Delete old primary image, and its files once committed
+      const oldPrimary = await client.query(
+        'SELECT id FROM product_images WHERE product_id = $1 AND image_type = $2',
+        [id, 'primary']
+      );
+      replacedImageUrls = await loadImageFileUrls(client, oldPrimary.rows.map(row => row.id));
+      await client.query(
+        'DELETE FROM product_images WHERE product_id = $1 AND image_type = $2',
+        [id, 'primary']
+      );
+
+      // Get current max sort order
+      const maxSortResult = await client.query(
+        'SELECT MAX(sort_order) AS max_sort FROM product_images WHERE product_id = $1',
+        [id]
+      );
+      let nextSort = (maxSortResult.rows[0].max_sort ?? -1) + 1;
+
+      // Insert all new files
+      for (let i = 0; i < processedImages.length; i++) {
+        const imageType = (i === 0 ? 'primary' : 'gallery');
+        await insertProductImage(client, id, processedImages[i], imageType, nextSort);
+        nextSort++;
+      }
+    }
+
+    if (variants) {
+      lowStockAlerts.push(...await saveProductVariants(client, id, variants, req.user.userId));
+    }
+    if (colors) {
+      await saveProductColors(client, id, colors);
+    }
+
+    const options = await loadProductOptions(client, result.rows[0]);
+
+    await client.query('COMMIT');
+    removeStagedUploads(req.files);
+    await removeUnreferencedUploads(replacedImageUrls);
+    notifyLowStock(lowStockAlerts);
+
+    console.log('✅ Product updated successfully:', id);
+
+    res.json({
+      message: 'Product updated successfully',
+      product: { ...result.rows[0], ...options }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    
+    // Delete uploaded files on error
+    if (req.files) {
+      req.files.forEach(file => {
+        fs.unlink(file.path, err => { if (err) console.error('Error deleting file:', err); });
+      });
+    }
+    await discardProcessedImages(processedImages);
+    
+    console.error('💥 Error updating product:', error);
+    
+    if (error.code === '23505') {
+      sendError(res, 400, 'SKU already exists');
+    } else if (error.statusCode === 400) {
+      sendError(res, 400, error.message);
+    } else {
+      sendError(res, 500, 'Failed to update product');
+    }
+  } finally {
+    client.release();
+  }
+}));
+
+// Stock-only edit for roles that may change quantities but nothing else about a product
+app.patch('/api/admin/products/:id/quantity', authenticateToken, requirePermission('inventory:update'), validate({
+  body: {
+    quantity: v.integer({ required: true, min: 0 }),
+    variantId: v.id({ required: false }),
+    reason: v.string({ trim: true, maxLength: 500 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { quantity, variantId = null, reason } = req.body;
+  const client = await pool.connect();
+  let stock;
+
+  try {
+    await client.query('BEGIN');
+    if (!variantId && await productHasVariants(client, req.params.id)) {
+      await client.query('ROLLBACK');
+      return sendVariantRequired(res);
+    }
+
+    stock = await setStock(client, {
+      productId: req.params.id,
+      variantId,
+      quantity,
+      type: 'adjustment',
+      reason: reason || 'Quantity set',
+      changedBy: req.user.userId
+    });
+    await client.query(stock ? 'COMMIT' : 'ROLLBACK');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!stock) {
+    return sendError(res, 404, variantId ? 'Variant not found' : 'Product not found');
+  }
+  notifyLowStock(stock.lowStockAlert ? [stock.lowStockAlert] : []);
+
+  console.log(`📦 Quantity of ${req.params.id}${variantId ? ` variant ${variantId}` : ''} set to ${quantity} by user:`, req.user.userId);
+  res.json({
+    message: 'Quantity updated successfully',
+    product: { id: req.params.id, variantId, sku: stock.sku, quantity: stock.quantity }
+  });
+}));
+
+// ADMIN INVENTORY ENDPOINTS
+const formatStockMovement = (movement) => ({
+  id: movement.id,
+  productId: movement.product_id,
+  productName: movement.product_name,
+  variantId: movement.variant_id,
+  type: movement.type,
+  quantityChange: movement.quantity_change,
+  quantityAfter: movement.quantity_after,
+  reason: movement.reason,
+  orderNumber: movement.order_number,
+  changedBy: movement.changed_by,
+  changedByEmail: movement.changed_by_email,
+  createdAt: movement.created_at
+});
+
+// Everything that can be sold, one row per product or, for products with options, per variant
+const STOCK_LEVELS_SQL = `
+  SELECT p.id AS product_id, NULL::integer AS variant_id, p.name, NULL AS variant, p.sku,
+    COALESCE(p.quantity, 0) AS quantity, COALESCE(p.low_stock_threshold, $1) AS low_stock_threshold
+  FROM products p
+  WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+  UNION ALL
+  SELECT p.id, v.id, p.name, v.variant_name || ': ' || v.variant_value, COALESCE(v.sku, p.sku),
+    COALESCE(v.quantity, 0), COALESCE(p.low_stock_threshold, $1)
+  FROM product_variants v
+  JOIN products p ON p.id = v.product_id
+`;
+
+// Products and variants at or below their low-stock threshold, emptiest first
+app.get('/api/admin/inventory/low-stock', authenticateToken, requirePermission('products:read'), validate({
+  query: PAGINATION_QUERY
+}), asyncHandler(async (req, res) => {
+  const { limit, offset } = parsePagination(req.query);
+
+  const [countResult, result] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*) AS total FROM (${STOCK_LEVELS_SQL}) stock
+      WHERE quantity <= low_stock_threshold
+    `, [DEFAULT_LOW_STOCK_THRESHOLD]),
+    pool.query(`
+      SELECT * FROM (${STOCK_LEVELS_SQL}) stock
+      WHERE quantity <= low_stock_threshold
+      ORDER BY quantity, name, variant_id NULLS FIRST
+      LIMIT $2 OFFSET $3
+    `, [DEFAULT_LOW_STOCK_THRESHOLD, limit, offset])
+  ]);
+  const total = parseInt(countResult.rows[0].total);
+
+  res.json({
+    items: result.rows.map(row => ({
+      productId: row.product_id,
+      variantId: row.variant_id,
+      name: row.name,
+      variant: row.variant,
+      sku: row.sku,
+      quantity: row.quantity,
+      lowStockThreshold: row.low_stock_threshold
+    })),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+app.get('/api/admin/inventory/movements', authenticateToken, requirePermission('products:read'), validate({
+  query: {
+    ...PAGINATION_QUERY,
+    product_id: v.string({ maxLength: 50 }),
+    variant_id: v.id({ required: false }),
+    type: v.enum(STOCK_MOVEMENT_TYPES)
+  }
+}), asyncHandler(async (req, res) => {
+  const { product_id, variant_id, type } = req.query;
+  const { limit, offset } = parsePagination(req.query);
+
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (product_id) {
+    params.push(product_id);
+    where += ` AND m.product_id = $${params.length}`;
+  }
+
+  if (variant_id) {
+    params.push(variant_id);
+    where += ` AND m.variant_id = $${params.length}`;
+  }
+
+  if (type) {
+    params.push(type);
+    where += ` AND m.type = $${params.length}`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM stock_movements m ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await pool.query(`
+    SELECT m.*, p.name AS product_name, o.order_number, u.email AS changed_by_email
+    FROM stock_movements m
+    LEFT JOIN products p ON p.id = m.product_id
+    LEFT JOIN orders o ON o.id = m.order_id
+    LEFT JOIN users u ON u.id = m.changed_by
+    ${where}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  res.json({
+    movements: result.rows.map(formatStockMovement),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    }
+  });
+}));
+
+// Body: { productId, variantId?, change, type: restock|adjustment, reason }; change is negative to remove stock
+app.post('/api/admin/inventory/adjustments', authenticateToken, requirePermission('inventory:update'), validate({
+  body: {
+    productId: v.string({ required: true, maxLength: 50 }),
+    variantId: v.id({ required: false }),
+    change: v.integer({ required: true, check: (change) => change === 0 ? 'change cannot be 0' : null }),
+    type: v.enum(['restock', 'adjustment'], { default: 'adjustment' }),
+    reason: v.string({ required: true, trim: true, maxLength: 500 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { productId, variantId = null, change, type, reason } = req.body;
+
+  if (type === 'restock' && change < 0) {
+    return sendValidationError(res, 'A restock must add stock', { field: 'change' });
+  }
+
+  const client = await pool.connect();
+  let stock;
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await lockStock(client, { productId, variantId });
+    if (!current) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, variantId ? 'Variant not found' : 'Product not found');
+    }
+
+    if (!variantId && await productHasVariants(client, productId)) {
+      await client.query('ROLLBACK');
+      return sendVariantRequired(res);
+    }
+
+    if (current.quantity + change < 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Only ${current.quantity} in stock, cannot remove ${-change}`, {
+        code: 'insufficient_stock',
+        quantity: current.quantity
+      });
+    }
+
+    stock = await changeStock(client, { productId, variantId, change, type, reason, changedBy: req.user.userId });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  notifyLowStock(stock.lowStockAlert ? [stock.lowStockAlert] : []);
+
+  console.log(`📦 Stock of ${productId}${variantId ? ` variant ${variantId}` : ''} changed by ${change} (${type}) by user:`, req.user.userId);
+  res.status(201).json({
+    message: 'Stock adjusted successfully',
+    stock: { productId, variantId, sku: stock.sku, quantity: stock.quantity }
+  });
+}));
+
+// ADMIN PRODUCT IMAGES ENDPOINTS
+const sendProductImages = async (res, productId) => {
+  const relations = (await loadProductRelations(pool, [productId])).get(productId);
+  res.json({ images: relations.images.map(formatProductImage) });
+};
+
+const findProductImage = async (db, productId, imageId, lock = false) => {
+  if (!/^\d+$/.test(String(imageId))) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT * FROM product_images WHERE id = $1 AND product_id = $2${lock ? ' FOR UPDATE' : ''}`,
+    [imageId, productId]
+  );
+  return result.rows[0] || null;
+};
+
+app.get('/api/admin/products/:id/images', authenticateToken, requirePermission('products:read'), asyncHandler(async (req, res) => {
+  const productResult = await pool.query('SELECT id FROM products WHERE id = $1', [req.params.id]);
+  if (productResult.rows.length === 0) {
+    return sendError(res, 404, 'Product not found');
+  }
+
+  await sendProductImages(res, req.params.id);
+}));
+
+const PRODUCT_IMAGE_PARAMS = { imageId: v.id() };
+
+// Body: { imageIds: [...] } listing every image of the product in the new order
+app.put('/api/admin/products/:id/images/order', authenticateToken, requirePermission('products:update'), validate({
+  body: { imageIds: v.array(v.id(), { required: true, minItems: 1 }) }
+}), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { imageIds } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const productResult = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [id]);
+    if (productResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Product not found');
+    }
+
+    const imagesResult = await client.query('SELECT id FROM product_images WHERE product_id = $1', [id]);
+    const currentIds = imagesResult.rows.map(row => row.id).sort((a, b) => a - b);
+    const sortedRequest = [...imageIds].sort((a, b) => a - b);
+
+    if (currentIds.length !== sortedRequest.length || currentIds.some((imageId, index) => imageId !== sortedRequest[index])) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, 'imageIds must list each of the product\'s images exactly once');
     }
 
-    // Update product
-    const result = await client.query(`
-      UPDATE products SET 
-        name = COALESCE($1, name), 
-        sku = COALESCE($2, sku), 
-        price = COALESCE($3, price), 
-        old_price = $4, 
-        description = COALESCE($5, description), 
-        quantity = COALESCE($6, quantity), 
-        in_stock = COALESCE($7, in_stock),
-        low_stock_threshold = COALESCE($8, low_stock_threshold),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $9
-      RETURNING *
-    `, [
-      name, sku, price !== undefined ? parseFloat(price) : null, 
-      oldPrice !== undefined ? parseFloat(oldPrice) : null,
-      description, quantity !== undefined ? parseInt(quantity) : null, 
-      inStock === 'true' || inStock === true, 
-      lowStockThreshold !== undefined ? parseInt(lowStockThreshold) : null, id
-    ]);
+    for (let i = 0; i < imageIds.length; i++) {
+      await client.query('UPDATE product_images SET sort_order = $1 WHERE id = $2', [i, imageIds[i]]);
+    }
+
+    await client.query('COMMIT');
+
+    console.log('✅ Product images reordered:', id);
+    await sendProductImages(res, id);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error reordering product images:', error);
+    sendError(res, 500, 'Failed to reorder images');
+  } finally {
+    client.release();
+  }
+}));
+
+app.post('/api/admin/products/:id/images/:imageId/primary', authenticateToken, requirePermission('products:update'), validate({
+  params: PRODUCT_IMAGE_PARAMS
+}), asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const image = await findProductImage(client, id, imageId, true);
+    if (!image) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Image not found');
+    }
+
+    await client.query(
+      `UPDATE product_images SET image_type = 'gallery' WHERE product_id = $1 AND image_type = 'primary' AND id <> $2`,
+      [id, image.id]
+    );
+    await client.query(`UPDATE product_images SET image_type = 'primary' WHERE id = $1`, [image.id]);
+
+    await client.query('COMMIT');
+
+    console.log('✅ Primary image set:', id, image.id);
+    await sendProductImages(res, id);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('💥 Error setting primary image:', error);
+    sendError(res, 500, 'Failed to set primary image');
+  } finally {
+    client.release();
+  }
+}));
+
+// altText must be sent; null or an empty string clears it
+app.patch('/api/admin/products/:id/images/:imageId', authenticateToken, requirePermission('products:update'), validate({
+  params: PRODUCT_IMAGE_PARAMS,
+  body: { altText: v.string({ required: true, nullable: true, trim: true, maxLength: 255 }) }
+}), asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+  const { altText } = req.body;
 
-    // Update categories
-    await client.query('DELETE FROM product_categories WHERE product_id = $1', [id]);
-    if (categories.length > 0) {
-      for (const categoryId of categories) {
-        if (categoryId && categoryId.trim()) {
-          await client.query(
-            'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
-            [id, categoryId.trim()]
-          );
-        }
-      }
-    }
+  const image = await findProductImage(pool, id, imageId);
+  if (!image) {
+    return sendError(res, 404, 'Image not found');
+  }
 
-    // Handle new uploaded images
-    if (req.files && req.files.length > 0) {
-      // Delete old primary image
-      await client.query(
-        'DELETE FROM product_images WHERE product_id = $1 AND image_type = $2',
-        [id, 'primary']
-      );
+  await pool.query(
+    'UPDATE product_images SET alt_text = $1 WHERE id = $2',
+    [altText, image.id]
+  );
 
-      // Get current max sort order
-      const maxSortResult = await client.query(
-        'SELECT MAX(sort_order) AS max_sort FROM product_images WHERE product_id = $1',
-        [id]
-      );
-      let nextSort = (maxSortResult.rows[0].max_sort ?? -1) + 1;
+  console.log('✅ Image alt text updated:', id, image.id);
+  await sendProductImages(res, id);
+}));
 
-      // Insert all new files
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const imageUrl = `/uploads/products/${file.filename}`;
-        const imageType = (i === 0 ? 'primary' : 'gallery');
+// Removes the row and its files; if it was the primary image the next one in order takes over
+app.delete('/api/admin/products/:id/images/:imageId', authenticateToken, requirePermission('products:update'), validate({
+  params: PRODUCT_IMAGE_PARAMS
+}), asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+  const client = await pool.connect();
+  let fileUrls = [];
 
-        await client.query(
-          'INSERT INTO product_images (product_id, image_url, image_type, sort_order) VALUES ($1, $2, $3, $4)',
-          [id, imageUrl, imageType, nextSort]
-        );
-        nextSort++;
-      }
+  try {
+    await client.query('BEGIN');
+
+    const image = await findProductImage(client, id, imageId, true);
+    if (!image) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Image not found');
     }
 
-    await client.query('COMMIT');
+    fileUrls = await loadImageFileUrls(client, [image.id]);
+    await client.query('DELETE FROM product_images WHERE id = $1', [image.id]);
 
-    console.log('✅ Product updated successfully:', id);
+    if (image.image_type === 'primary') {
+      await client.query(`
+        UPDATE product_images SET image_type = 'primary'
+        WHERE id = (SELECT id FROM product_images WHERE product_id = $1 ORDER BY sort_order, id LIMIT 1)
+      `, [id]);
+    }
 
-    res.json({
-      message: 'Product updated successfully',
-      product: result.rows[0]
-    });
+    await client.query('COMMIT');
 
   } catch (error) {
     await client.query('ROLLBACK');
-    
-    // Delete uploaded files on error
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, err => { if (err) console.error('Error deleting file:', err); });
-      });
-    }
-    
-    console.error('💥 Error updating product:', error);
-    
-    if (error.code === '23505') {
-      res.status(400).json({ error: 'SKU already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to update product: ' + error.message });
-    }
+    console.error('💥 Error deleting product image:', error);
+    return sendError(res, 500, 'Failed to delete image');
   } finally {
     client.release();
   }
+
+  await removeUnreferencedUploads(fileUrls);
+
+  console.log('✅ Product image deleted:', id, imageId);
+  await sendProductImages(res, id);
 }));
 
 // Delete product
-app.delete('/api/admin/products/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+app.delete('/api/admin/products/:id', authenticateToken, requirePermission('products:delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   console.log('🗑️ Delete product endpoint hit:', id);
   
@@ -706,28 +5972,24 @@ app.delete('/api/admin/products/:id', authenticateToken, requireAdmin, asyncHand
     await client.query('BEGIN');
     
     // Get images before deleting
-    const imagesResult = await pool.query(
-      'SELECT image_url FROM product_images WHERE product_id = $1',
-      [id]
-    );
+    const imagesResult = await pool.query(`
+      SELECT image_url FROM product_images WHERE product_id = $1
+      UNION
+      SELECT r.url FROM product_image_renditions r
+      JOIN product_images pi ON pi.id = r.image_id
+      WHERE pi.product_id = $1
+    `, [id]);
     
     // Delete product (cascades to related tables)
     const result = await pool.query('DELETE FROM products WHERE id = $1 RETURNING *', [id]);
 
     if (result.rows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Product not found' });
+      return sendError(res, 404, 'Product not found');
     }
     
     // Delete physical image files
-    imagesResult.rows.forEach(row => {
-      if (row.image_url && row.image_url.startsWith('/uploads/')) {
-        const filePath = path.join(__dirname, row.image_url);
-        fs.unlink(filePath, err => {
-          if (err) console.error('Error deleting image file:', err);
-        });
-      }
-    });
+    imagesResult.rows.forEach(row => deleteUploadedFile(row.image_url));
     
     await client.query('COMMIT');
     
@@ -737,21 +5999,19 @@ app.delete('/api/admin/products/:id', authenticateToken, requireAdmin, asyncHand
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('💥 Error deleting product:', error);
-    res.status(500).json({ error: 'Failed to delete product: ' + error.message });
+    sendError(res, 500, 'Failed to delete product');
   } finally {
     client.release();
   }
 }));
 
 // Bulk delete products
-app.delete('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+app.delete('/api/admin/products', authenticateToken, requirePermission('products:delete'), validate({
+  body: { productIds: v.array(v.string({ maxLength: 50 }), { required: true, minItems: 1 }) }
+}), asyncHandler(async (req, res) => {
   const { productIds } = req.body;
   console.log('🗑️ Bulk delete endpoint hit:', productIds);
 
-  if (!productIds || !Array.isArray(productIds) || productIds.length === 0) {
-    return res.status(400).json({ error: 'Product IDs array is required' });
-  }
-
   const client = await pool.connect();
   
   try {
@@ -759,10 +6019,13 @@ app.delete('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(
     
     // Get all images for the products to be deleted
     const placeholders = productIds.map((_, index) => `$${index + 1}`).join(',');
-    const imagesResult = await pool.query(
-      `SELECT image_url FROM product_images WHERE product_id IN (${placeholders})`,
-      productIds
-    );
+    const imagesResult = await pool.query(`
+      SELECT image_url FROM product_images WHERE product_id IN (${placeholders})
+      UNION
+      SELECT r.url FROM product_image_renditions r
+      JOIN product_images pi ON pi.id = r.image_id
+      WHERE pi.product_id IN (${placeholders})
+    `, productIds);
     
     // Delete products
     const result = await client.query(
@@ -771,14 +6034,7 @@ app.delete('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(
     );
     
     // Delete physical image files
-    imagesResult.rows.forEach(row => {
-      if (row.image_url && row.image_url.startsWith('/uploads/')) {
-        const filePath = path.join(__dirname, row.image_url);
-        fs.unlink(filePath, err => {
-          if (err) console.error('Error deleting image file:', err);
-        });
-      }
-    });
+    imagesResult.rows.forEach(row => deleteUploadedFile(row.image_url));
     
     await client.query('COMMIT');
     
@@ -792,7 +6048,7 @@ app.delete('/api/admin/products', authenticateToken, requireAdmin, asyncHandler(
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('💥 Error bulk deleting products:', error);
-    res.status(500).json({ error: 'Failed to delete products: ' + error.message });
+    sendError(res, 500, 'Failed to delete products');
   } finally {
     client.release();
   }
@@ -833,6 +6089,33 @@ async function initializeDatabase() {
       )
     `);
 
+    // Columns the setup script defines but older server-created tables lack
+    await pool.query(`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS description TEXT,
+        ADD COLUMN IF NOT EXISTS image_url VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS parent_id VARCHAR(50) REFERENCES categories(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+
+    await pool.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS allow_backorder BOOLEAN DEFAULT false
+    `);
+
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_products_search ON products USING gin(${productSearchDocument()})`);
+
+    // pg_trgm powers the typo-tolerant search fallback; creating it can need extra privileges
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING gin(name gin_trgm_ops)');
+      trigramSearchEnabled = true;
+    } catch (error) {
+      console.warn('⚠️  pg_trgm is not available, fuzzy search falls back to ILIKE:', error.message);
+    }
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS product_categories (
         product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
@@ -852,6 +6135,29 @@ async function initializeDatabase() {
       )
     `);
 
+    await pool.query(`
+      ALTER TABLE product_images
+        ADD COLUMN IF NOT EXISTS alt_text VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS width INTEGER,
+        ADD COLUMN IF NOT EXISTS height INTEGER
+    `);
+
+    // Resized/re-encoded copies of each uploaded product image
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_image_renditions (
+        id SERIAL PRIMARY KEY,
+        image_id INTEGER NOT NULL REFERENCES product_images(id) ON DELETE CASCADE,
+        size VARCHAR(20) NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        bytes INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (image_id, size, format)
+      )
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS users (
         id SERIAL PRIMARY KEY,
@@ -859,12 +6165,348 @@ async function initializeDatabase() {
         password_hash VARCHAR(255) NOT NULL,
         first_name VARCHAR(100),
         last_name VARCHAR(100),
+        phone VARCHAR(20),
+        date_of_birth DATE,
         role VARCHAR(20) DEFAULT 'customer',
+        email_verified BOOLEAN DEFAULT false,
+        last_login TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        permissions TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Built-in roles are only added when missing, so edits made from the admin panel stick
+    for (const role of DEFAULT_ROLES) {
+      await pool.query(`
+        INSERT INTO roles (id, name, description, permissions)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (id) DO NOTHING
+      `, [role.id, role.name, role.description, role.permissions]);
+    }
+
+    // Bring users tables created by older versions up to date
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS phone VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS last_login TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+        ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_backup_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user ON user_backup_codes(user_id)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_challenges (
+        jti VARCHAR(32) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
+        variant_name VARCHAR(100) NOT NULL,
+        variant_value VARCHAR(100) NOT NULL,
+        price_modifier DECIMAL(10,2) DEFAULT 0,
+        quantity INTEGER DEFAULT 0,
+        sku VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_colors (
+        id SERIAL PRIMARY KEY,
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
+        color_name VARCHAR(50) NOT NULL,
+        color_code VARCHAR(7) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_addresses (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(20) DEFAULT 'shipping',
+        first_name VARCHAR(100),
+        last_name VARCHAR(100),
+        company VARCHAR(100),
+        address_line_1 VARCHAR(255) NOT NULL,
+        address_line_2 VARCHAR(255),
+        city VARCHAR(100) NOT NULL,
+        state VARCHAR(100),
+        postal_code VARCHAR(20),
+        country VARCHAR(100) NOT NULL,
+        phone VARCHAR(20),
+        is_default BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // At most one default address per user and type
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default
+      ON user_addresses (user_id, type) WHERE is_default = true
+    `);
+
+    // Cart lines belong to a user, or to a guest identified by cart_token
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS cart_items (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        cart_token VARCHAR(64),
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, product_id, variant_id)
+      )
+    `);
+
+    await pool.query('ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS cart_token VARCHAR(64)');
+
+    // UNIQUE(user_id, product_id, variant_id) lets NULL variants repeat, so key lines on COALESCE instead
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_user_line
+      ON cart_items (user_id, product_id, (COALESCE(variant_id, 0))) WHERE user_id IS NOT NULL
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_guest_line
+      ON cart_items (cart_token, product_id, (COALESCE(variant_id, 0))) WHERE cart_token IS NOT NULL
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id SERIAL PRIMARY KEY,
+        order_number VARCHAR(50) UNIQUE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        subtotal DECIMAL(10,2) NOT NULL,
+        shipping_cost DECIMAL(10,2) DEFAULT 0,
+        tax_amount DECIMAL(10,2) DEFAULT 0,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
+        total_amount DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(3) DEFAULT 'USD',
+        payment_status VARCHAR(20) DEFAULT 'pending',
+        payment_method VARCHAR(50),
+        shipping_address JSONB,
+        billing_address JSONB,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE SET NULL,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+        product_name VARCHAR(255) NOT NULL,
+        product_sku VARCHAR(100),
+        quantity INTEGER NOT NULL,
+        unit_price DECIMAL(10,2) NOT NULL,
+        total_price DECIMAL(10,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        type VARCHAR(20) NOT NULL, -- 'percentage' or 'fixed'
+        value DECIMAL(10,2) NOT NULL,
+        minimum_amount DECIMAL(10,2),
+        maximum_discount DECIMAL(10,2),
+        usage_limit INTEGER,
+        used_count INTEGER DEFAULT 0,
+        expires_at TIMESTAMP,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_reviews (
+        id SERIAL PRIMARY KEY,
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+        title VARCHAR(255),
+        review_text TEXT,
+        verified_purchase BOOLEAN DEFAULT false,
+        helpful_count INTEGER DEFAULT 0,
+        approved BOOLEAN DEFAULT false,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Pending reviews have no moderated_at; rejected ones have it set with approved = false
+    await pool.query(`
+      ALTER TABLE product_reviews
+        ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS review_helpful_votes (
+        review_id INTEGER REFERENCES product_reviews(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (review_id, user_id)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON product_reviews(product_id)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wishlist_items (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        product_id VARCHAR(50) REFERENCES products(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, product_id)
+      )
+    `);
+
+    // At most one live share link per user
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wishlist_shares (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Audit trail of every status change, including who made it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        from_payment_status VARCHAR(20),
+        to_payment_status VARCHAR(20),
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Ledger of every stock change, with the quantity it left behind. Product and variant ids are kept
+    // without foreign keys so the history outlives deleted products and options
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        product_id VARCHAR(50) NOT NULL,
+        variant_id INTEGER,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('sale', 'restock', 'adjustment', 'return')),
+        quantity_change INTEGER NOT NULL,
+        quantity_after INTEGER NOT NULL,
+        reason TEXT,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id)');
+    // Ledgers created before the ids were decoupled would be wiped along with their product
+    await pool.query(`
+      ALTER TABLE stock_movements
+        DROP CONSTRAINT IF EXISTS stock_movements_product_id_fkey,
+        DROP CONSTRAINT IF EXISTS stock_movements_variant_id_fkey
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)');
+
+    // Drop guest carts nobody has touched in a month
+    await pool.query(`
+      DELETE FROM cart_items
+      WHERE cart_token IS NOT NULL AND updated_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+    `);
+
+    // Sessions are useless once expired; keep them a week longer for reuse detection
+    await pool.query(`
+      DELETE FROM user_sessions WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+    `);
+    await pool.query('DELETE FROM login_challenges WHERE expires_at < CURRENT_TIMESTAMP');
+
     console.log('✅ Database tables created');
 
     // Insert sample data
@@ -985,19 +6627,23 @@ async function insertSampleData() {
       );
     }
 
-    // Create admin user
-    const adminEmail = 'admin@bingo.com';
-    const adminPassword = 'admin123';
+    // Create admin user. The password is never logged; without ADMIN_PASSWORD a random one is set
+    // and the admin picks their own through the forgot-password flow
+    const adminEmail = normalizeEmail(process.env.ADMIN_EMAIL || 'admin@bingo.com');
     
-    const existingAdmin = await pool.query('SELECT id FROM users WHERE email = $1', [adminEmail]);
+    const existingAdmin = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [adminEmail]);
     
     if (existingAdmin.rows.length === 0) {
+      const adminPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(24).toString('hex');
       const hashedPassword = await bcrypt.hash(adminPassword, 10);
       await pool.query(
-        'INSERT INTO users (email, password_hash, first_name, last_name, role) VALUES ($1, $2, $3, $4, $5)',
-        [adminEmail, hashedPassword, 'Admin', 'User', 'admin']
+        'INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified) VALUES ($1, $2, $3, $4, $5, $6)',
+        [adminEmail, hashedPassword, 'Admin', 'User', 'admin', true]
       );
-      console.log('👤 Admin user created - Email:', adminEmail, 'Password:', adminPassword);
+      console.log('👤 Admin user created:', adminEmail);
+      if (!process.env.ADMIN_PASSWORD) {
+        console.log('🔑 No ADMIN_PASSWORD set; use POST /api/auth/forgot-password to choose the admin password');
+      }
     } else {
       console.log('👤 Admin user already exists');
     }
@@ -1011,16 +6657,28 @@ async function insertSampleData() {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof multer.MulterError) {
+    return sendError(res, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message);
+  }
+
+  // Malformed JSON, oversized bodies and badRequest() errors carry their own 4xx status
+  const status = err.statusCode || err.status || 500;
+  if (status < 500) {
+    return sendError(res, status, err.message);
+  }
+
   console.error('💥 Unhandled error:', err.stack);
-  res.status(500).json({ 
-    error: 'Internal server error', 
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined 
-  });
+  sendError(res, status, 'Internal server error',
+    process.env.NODE_ENV === 'development' ? { detail: err.message } : undefined);
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  sendError(res, 404, 'Route not found');
 });
 
 // Start server
@@ -1031,21 +6689,102 @@ initializeDatabase()
       console.log('🚀 Server running on http://localhost:' + PORT);
       console.log('🔧 Database integration active!');
       console.log('👨‍💼 Access admin at: http://localhost:' + PORT + '/admin-products.html');
-      console.log('👤 Admin login: admin@bingo.com / admin123');
       console.log('🧪 Test endpoint: http://localhost:' + PORT + '/api/test');
       console.log('📸 Image uploads enabled - Max 8 images per product, 5MB each');
       console.log('📝 API Documentation:');
-      console.log('   PUBLIC ENDPOINTS:');
-      console.log('   - GET    /api/products (with query params: search, category, trending, best_seller, new_arrival, limit, offset)');
+      console.log(`   PUBLIC ENDPOINTS (/api/products limited to ${PRODUCTS_RATE_LIMIT_PER_MINUTE} requests per minute per client):`);
+      console.log('   - GET    /api/products (with query params: search, category, min_price, max_price, on_sale, trending, best_seller, new_arrival, sort, cursor, limit, offset; returns facets)');
+      console.log('   - GET    /api/products/suggest (with query params: q, limit)');
       console.log('   - GET    /api/products/:id');
-      console.log('   - GET    /api/categories');
-      console.log('   ADMIN ENDPOINTS (require auth):');
-      console.log('   - POST   /api/auth/login');
-      console.log('   - GET    /api/admin/products');
-      console.log('   - POST   /api/admin/products (multipart/form-data)');
-      console.log('   - PUT    /api/admin/products/:id (multipart/form-data)');
+      console.log('   - GET    /api/categories (with query param: tree)');
+      console.log('   - GET    /api/products/:id/reviews (with query params: sort, limit, offset)');
+      console.log('   - POST   /api/products/:id/reviews (requires auth)');
+      console.log('   - POST   /api/products/:id/reviews/:reviewId/helpful (requires auth)');
+      console.log('   - POST   /api/auth/register');
+      console.log('   - POST   /api/auth/login (locks out after repeated failures; returns a challenge when 2FA is on)');
+      console.log('   - POST   /api/auth/login/2fa');
+      console.log('   - POST   /api/auth/verify-email');
+      console.log('   - POST   /api/auth/refresh');
+      console.log('   - POST   /api/auth/logout');
+      console.log('   - POST   /api/auth/forgot-password');
+      console.log('   - POST   /api/auth/reset-password');
+      console.log('   ACCOUNT ENDPOINTS (require auth):');
+      console.log('   - POST   /api/auth/logout-all');
+      console.log('   - POST   /api/auth/resend-verification');
+      console.log('   - GET    /api/me');
+      console.log('   - PATCH  /api/me');
+      console.log('   - POST   /api/me/password');
+      console.log('   - GET    /api/me/2fa');
+      console.log('   - POST   /api/me/2fa/setup');
+      console.log('   - POST   /api/me/2fa/enable');
+      console.log('   - POST   /api/me/2fa/backup-codes');
+      console.log('   - POST   /api/me/2fa/disable');
+      console.log('   - GET    /api/me/addresses');
+      console.log('   - POST   /api/me/addresses');
+      console.log('   - PUT    /api/me/addresses/:id');
+      console.log('   - POST   /api/me/addresses/:id/default');
+      console.log('   - DELETE /api/me/addresses/:id');
+      console.log('   CART ENDPOINTS (auth or X-Cart-Token header):');
+      console.log('   - GET    /api/cart');
+      console.log('   - POST   /api/cart/items');
+      console.log('   - PATCH  /api/cart/items/:itemId');
+      console.log('   - DELETE /api/cart/items/:itemId');
+      console.log('   - DELETE /api/cart');
+      console.log('   - POST   /api/cart/coupon (preview a coupon discount)');
+      console.log('   WISHLIST ENDPOINTS (require auth unless noted):');
+      console.log('   - GET    /api/wishlist');
+      console.log('   - POST   /api/wishlist');
+      console.log('   - DELETE /api/wishlist/:productId');
+      console.log('   - POST   /api/wishlist/:productId/move-to-cart');
+      console.log('   - POST   /api/wishlist/share');
+      console.log('   - DELETE /api/wishlist/share');
+      console.log('   - GET    /api/wishlist/shared/:token (public)');
+      console.log('   ORDER ENDPOINTS:');
+      console.log('   - POST   /api/checkout (requires auth)');
+      console.log('   - GET    /api/orders (requires auth)');
+      console.log('   - GET    /api/orders/:orderNumber (requires auth)');
+      console.log('   ADMIN ENDPOINTS (require auth and a role with the matching permission):');
+      console.log('   - GET    /api/admin/products (with query params: search, status, category, min_price, max_price, on_sale, sort, cursor, limit, offset)');
+      console.log('   - POST   /api/admin/products (multipart/form-data, optional variants/colors JSON)');
+      console.log('   - PUT    /api/admin/products/:id (multipart/form-data, optional variants/colors JSON)');
+      console.log('   - GET    /api/admin/products/:id/images');
+      console.log('   - PUT    /api/admin/products/:id/images/order');
+      console.log('   - POST   /api/admin/products/:id/images/:imageId/primary');
+      console.log('   - PATCH  /api/admin/products/:id/images/:imageId (alt text)');
+      console.log('   - PATCH  /api/admin/products/:id/quantity (optional reason, recorded in the stock ledger)');
+      console.log('   - DELETE /api/admin/products/:id/images/:imageId');
       console.log('   - DELETE /api/admin/products/:id');
       console.log('   - DELETE /api/admin/products (bulk delete)');
+      console.log('   - GET    /api/admin/products/export (CSV, same filters as the product list)');
+      console.log('   - POST   /api/admin/products/import (multipart CSV "file", query param: dryRun)');
+      console.log('   - GET    /api/admin/inventory/low-stock (with query params: limit, offset)');
+      console.log('   - GET    /api/admin/inventory/movements (with query params: product_id, variant_id, type, limit, offset)');
+      console.log('   - POST   /api/admin/inventory/adjustments');
+      console.log('   - GET    /api/admin/orders (with query params: search, status, payment_status, limit, offset)');
+      console.log('   - GET    /api/admin/orders/:orderNumber');
+      console.log('   - POST   /api/admin/orders/:orderNumber/status');
+      console.log('   - GET    /api/admin/staff');
+      console.log('   - POST   /api/admin/staff (promotes an existing account or invites a new one)');
+      console.log('   - PUT    /api/admin/staff/:id');
+      console.log('   - DELETE /api/admin/staff/:id');
+      console.log('   - GET    /api/admin/roles (with the permission catalog)');
+      console.log('   - POST   /api/admin/roles');
+      console.log('   - PUT    /api/admin/roles/:id');
+      console.log('   - DELETE /api/admin/roles/:id');
+      console.log('   - GET    /api/admin/uploads/orphans (with query param: minAgeMinutes)');
+      console.log('   - DELETE /api/admin/uploads/orphans (with query param: minAgeMinutes)');
+      console.log('   - GET    /api/admin/categories (with query param: tree)');
+      console.log('   - POST   /api/admin/categories (multipart/form-data)');
+      console.log('   - PUT    /api/admin/categories/:id (multipart/form-data)');
+      console.log('   - DELETE /api/admin/categories/:id (reassignTo or detach required when it has products)');
+      console.log('   - GET    /api/admin/reviews (with query params: status, product_id, limit, offset)');
+      console.log('   - POST   /api/admin/reviews/:id/approve');
+      console.log('   - POST   /api/admin/reviews/:id/reject');
+      console.log('   - GET    /api/admin/coupons');
+      console.log('   - GET    /api/admin/coupons/:id');
+      console.log('   - POST   /api/admin/coupons');
+      console.log('   - PUT    /api/admin/coupons/:id');
+      console.log('   - DELETE /api/admin/coupons/:id');
     });
   })
   .catch(err => {